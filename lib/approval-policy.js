@@ -0,0 +1,101 @@
+/**
+ * Approval policies: what a PR needs before it can be merged
+ *
+ * A policy is { requiredApprovals, requiredReviewers, requireCodeOwnerReviews,
+ * dismissStaleApprovals, fromBranchProtection }. The "approvalPolicy" config
+ * applies to every repository, and entries under "repositories" (keyed by
+ * "owner/repo" or a glob such as "acme/*") override it. With
+ * fromBranchProtection, whatever the branch's protection rules require
+ * replaces the configured values.
+ */
+
+const { globToRegExp } = require('./discovery');
+
+const POLICY_KEYS = [
+  'requiredApprovals',
+  'requiredReviewers',
+  'requireCodeOwnerReviews',
+  'dismissStaleApprovals',
+  'fromBranchProtection'
+];
+
+/**
+ * Get the configured policy for a repository ("owner/repo")
+ * Matching "repositories" entries are applied in the order they are listed
+ */
+function getConfiguredPolicy(config, repository) {
+  let policy = { ...config.approvalPolicy };
+
+  Object.entries(config.repositories || {}).forEach(([pattern, settings]) => {
+    if (settings.approvalPolicy && globToRegExp(pattern).test(repository)) {
+      policy = { ...policy, ...settings.approvalPolicy };
+    }
+  });
+
+  return policy;
+}
+
+/**
+ * Apply branch protection to a policy
+ * Takes the classic protection response and the branch rules (rulesets)
+ * response, either of which may be null; when both apply, the stricter wins
+ */
+function applyBranchProtection(policy, protection, rules) {
+  const requirements = [];
+
+  const classic = protection && protection.required_pull_request_reviews;
+  if (classic) {
+    requirements.push({
+      requiredApprovals: classic.required_approving_review_count || 0,
+      requireCodeOwnerReviews: Boolean(classic.require_code_owner_reviews),
+      dismissStaleApprovals: Boolean(classic.dismiss_stale_reviews)
+    });
+  }
+
+  (rules || [])
+    .filter(rule => rule.type === 'pull_request' && rule.parameters)
+    .forEach(({ parameters }) => {
+      requirements.push({
+        requiredApprovals: parameters.required_approving_review_count || 0,
+        requireCodeOwnerReviews: Boolean(parameters.require_code_owner_review),
+        dismissStaleApprovals: Boolean(parameters.dismiss_stale_reviews_on_push)
+      });
+    });
+
+  if (requirements.length === 0) {
+    return policy;
+  }
+
+  return {
+    ...policy,
+    requiredApprovals: Math.max(...requirements.map(requirement => requirement.requiredApprovals)),
+    requireCodeOwnerReviews: requirements.some(requirement => requirement.requireCodeOwnerReviews),
+    dismissStaleApprovals: requirements.some(requirement => requirement.dismissStaleApprovals)
+  };
+}
+
+/**
+ * Validate an approval policy from the config, throwing on the first problem
+ */
+function validatePolicy(policy, location) {
+  Object.keys(policy).forEach(key => {
+    if (!POLICY_KEYS.includes(key)) {
+      throw new Error(`Unknown key "${key}" in ${location}. Known keys: ${POLICY_KEYS.join(', ')}`);
+    }
+  });
+
+  if (policy.requiredApprovals !== undefined &&
+    (!Number.isInteger(policy.requiredApprovals) || policy.requiredApprovals < 0)) {
+    throw new Error(`"requiredApprovals" in ${location} must be a whole number`);
+  }
+  if (policy.requiredReviewers !== undefined &&
+    (!Array.isArray(policy.requiredReviewers) || policy.requiredReviewers.some(reviewer => typeof reviewer !== 'string'))) {
+    throw new Error(`"requiredReviewers" in ${location} must be an array of logins or "org/team" names`);
+  }
+}
+
+module.exports = {
+  getConfiguredPolicy,
+  applyBranchProtection,
+  validatePolicy
+};
@@ -0,0 +1,67 @@
+/**
+ * Summarize CI status for a PR's head commit
+ *
+ * Combines commit statuses and check runs into one state:
+ *   failure  at least one status or check failed
+ *   pending  nothing failed, but something is still running
+ *   success  everything that ran passed
+ *   none     no statuses or checks reported
+ */
+
+const FAILED_STATUS_STATES = new Set(['failure', 'error']);
+const FAILED_CONCLUSIONS = new Set([
+  'failure',
+  'timed_out',
+  'cancelled',
+  'action_required',
+  'startup_failure'
+]);
+
+/**
+ * Summarize statuses ({ context, state }) and check runs ({ name, status, conclusion })
+ */
+function summarizeChecks(statuses = [], checkRuns = []) {
+  const failing = [];
+  const pending = [];
+
+  statuses.forEach(status => {
+    const state = status.state.toLowerCase();
+    if (FAILED_STATUS_STATES.has(state)) {
+      failing.push(status.context);
+    } else if (state === 'pending' || state === 'expected') {
+      pending.push(status.context);
+    }
+  });
+
+  checkRuns.forEach(checkRun => {
+    const conclusion = (checkRun.conclusion || '').toLowerCase();
+    if (checkRun.status.toLowerCase() !== 'completed') {
+      pending.push(checkRun.name);
+    } else if (FAILED_CONCLUSIONS.has(conclusion)) {
+      failing.push(checkRun.name);
+    }
+  });
+
+  let state = 'none';
+  if (failing.length > 0) {
+    state = 'failure';
+  } else if (pending.length > 0) {
+    state = 'pending';
+  } else if (statuses.length + checkRuns.length > 0) {
+    state = 'success';
+  }
+
+  return { state, failing, pending };
+}
+
+/**
+ * Check whether a PR has merge conflicts with its base branch
+ */
+function hasMergeConflicts(pr) {
+  return pr.mergeable_state === 'dirty' || pr.mergeable === false;
+}
+
+module.exports = {
+  summarizeChecks,
+  hasMergeConflicts
+};
@@ -0,0 +1,112 @@
+/**
+ * CODEOWNERS parsing and matching
+ *
+ * Follows GitHub's rules: patterns use gitignore syntax, the last matching
+ * line wins, and a line without owners means the matching files have none.
+ * Owners are "@user" or "@org/team"; email owners can't be matched to
+ * reviews and are ignored.
+ */
+
+// Where GitHub looks for the file, in order
+const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * Turn a CODEOWNERS pattern into a regular expression matching file paths
+ */
+function patternToRegExp(pattern) {
+  let body = pattern;
+  const directoryOnly = body.endsWith('/');
+  body = body.replace(/\/+$/, '');
+
+  // Patterns with a slash before the end are relative to the repository root
+  const anchored = body.includes('/');
+  body = body.replace(/^\//, '');
+
+  let source = '';
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '*' && body[i + 1] === '*') {
+      // "**/" matches any number of directories, a trailing "**" everything below
+      if (body[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  // A directory pattern only matches what is inside it, and "docs/*" only the
+  // files directly in docs; other patterns match a file, or everything inside
+  // a directory of that name
+  let suffix = '(?:/.*)?$';
+  if (directoryOnly) {
+    suffix = '/.*$';
+  } else if (/(^|[^*])\*$/.test(body)) {
+    suffix = '$';
+  }
+  return new RegExp(`${prefix}${source}${suffix}`);
+}
+
+/**
+ * Parse a CODEOWNERS file into [{ pattern, regex, owners }]
+ * Owners are returned without the leading "@"
+ */
+function parseCodeOwners(contents) {
+  return contents
+    .split(/\r?\n/)
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean)
+    .map(line => {
+      const [pattern, ...owners] = line.split(/\s+/);
+      return {
+        pattern,
+        regex: patternToRegExp(pattern),
+        owners: owners.filter(owner => owner.startsWith('@')).map(owner => owner.slice(1))
+      };
+    });
+}
+
+/**
+ * Get the owners of a file: those of the last matching rule, or [] if none
+ */
+function getOwners(rules, filePath) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (rules[i].regex.test(filePath)) {
+      return rules[i].owners;
+    }
+  }
+  return [];
+}
+
+/**
+ * Get the distinct owner sets a change needs approval from: for each set,
+ * one approval from any of its owners covers every file it owns
+ */
+function getRequiredOwnerSets(rules, filePaths) {
+  const ownerSets = new Map();
+
+  filePaths.forEach(filePath => {
+    const owners = getOwners(rules, filePath);
+    if (owners.length > 0) {
+      ownerSets.set([...owners].sort().join(' '), owners);
+    }
+  });
+
+  return Array.from(ownerSets.values());
+}
+
+module.exports = {
+  CODEOWNERS_PATHS,
+  parseCodeOwners,
+  getOwners,
+  getRequiredOwnerSets
+};
@@ -0,0 +1,300 @@
+/**
+ * Configuration loading for the PR generator
+ *
+ * Settings are read from a JSON rules file (".prgenrc.json" in the current
+ * directory by default). Anything not set there falls back to DEFAULT_CONFIG,
+ * which reproduces the generator's built-in categories.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateRules, toMatcher } = require('./rules');
+const { validatePolicy } = require('./approval-policy');
+const { parseSLADuration } = require('./duration');
+
+const SORT_KEYS = ['newest', 'oldest', 'activity', 'inactive', 'title'];
+
+const DEFAULT_CONFIG_FILE = '.prgenrc.json';
+
+// The tier used when the config doesn't define priorityTiers
+const DEFAULT_PRIORITY_TIER = {
+  id: 'highPriority',
+  title: 'High Priority',
+  emoji: ':rotating_light:'
+};
+
+const DEFAULT_CONFIG = {
+  // Substrings (or "/regex/" patterns) that mark a label as high priority
+  priorityLabels: [
+    'high priority',
+    'high-priority',
+    'priority : high',
+    'urgent',
+    'critical'
+  ],
+
+  // Priority tiers, highest first, each rendered as its own section above the
+  // categories with its PRs split by category. A PR is in the first tier with a
+  // label or milestone matching one of its "labels" or "milestones" patterns.
+  // null means a single "High Priority" tier matching priorityLabels
+  priorityTiers: null,
+
+  // What a PR needs before it can be merged. Entries under "repositories"
+  // (keyed by "owner/repo" or a glob like "acme/*") override it per repository
+  approvalPolicy: {
+    requiredApprovals: 2,
+    // Logins or "org/team" names that must each approve (one member per team)
+    requiredReviewers: [],
+    // Require an approval from a code owner of every changed file (CODEOWNERS)
+    requireCodeOwnerReviews: false,
+    // Only count approvals of the PR's latest commit
+    dismissStaleApprovals: false,
+    // Read the approval count, code owner and stale approval settings from the
+    // base branch's protection rules, replacing the values above
+    fromBranchProtection: false
+  },
+
+  repositories: {},
+
+  // Logins whose approval means "I'll merge it"; PRs they approved are left out
+  // of "Needs merging". REVIEW_OWNER (comma-separated) adds to this list
+  reviewOwners: [],
+
+  // Which accounts are bots; their comments and reviews are ignored. Accounts
+  // GitHub reports as bots (GitHub Apps, "[bot]" logins) always count as bots
+  bots: {
+    // Logins that are never bots, even if they match a pattern
+    allow: [],
+    // Logins that are always bots
+    deny: ['gitstream-cm'],
+    // Login substrings or "/regex/flags" patterns that mark a bot. The default only
+    // matches "-bot" service accounts, so people like "abbott" still count
+    patterns: ['/-bot$/i']
+  },
+
+  // Login substrings or "/regex/flags" patterns of authors whose PRs are left
+  // out of the report entirely, e.g. ["dependabot", "renovate"]
+  excludeAuthors: [],
+
+  // How PRs are ordered inside each category: newest, oldest, activity
+  // (most recently active first), inactive (least recently active first) or title
+  sort: 'newest',
+
+  // Review SLAs; PRs breaching them are marked stale. Off by default, e.g.
+  // { firstReview: '2bd', inactivity: '5d', section: false }. Durations accept
+  // "2bd" (business days) as well as values like "36h" or "5d"; "section" moves
+  // stale PRs into their own section instead of only marking them
+  sla: null,
+
+  // Categories in the order they are rendered
+  categories: [
+    {
+      id: 'needOneMoreApproval',
+      title: 'Need one more approval',
+      emoji: ':white_check_mark:',
+      details: 'approvedBy'
+    },
+    {
+      id: 'needsProlificCommentersApproval',
+      title: 'Needs approvals from previous :sparkles: prolific :sparkles: commenters',
+      details: 'prolificCommenters'
+    },
+    {
+      id: 'needsRequiredReviewers',
+      title: 'Needs approval from required reviewers',
+      emoji: ':lock:',
+      details: 'missingReviewers'
+    },
+    {
+      id: 'requiresReview',
+      title: 'Requires review',
+      emoji: ':writing_hand:',
+      details: 'approvalProgress'
+    },
+    {
+      id: 'hasCommentsToFix',
+      title: 'Have some comments to fix',
+      emoji: ':wrench:',
+      details: 'commentCount'
+    },
+    {
+      id: 'needsMerging',
+      title: 'Needs merging',
+      emoji: ':zany_face:',
+      heading: 'Needs merging (Reminder for me :zany_face:)',
+      details: 'approvalCount'
+    },
+    {
+      id: 'failingChecks',
+      title: 'Failing checks',
+      emoji: ':x:',
+      details: 'failingChecks'
+    },
+    {
+      id: 'hasMergeConflicts',
+      title: 'Has merge conflicts',
+      emoji: ':crossed_swords:',
+      details: 'mergeConflicts'
+    }
+  ],
+
+  // Rules in precedence order: each PR goes into the first category that matches
+  rules: [
+    // PRs that can't land yet are kept out of the review queues
+    { category: 'hasMergeConflicts', when: { mergeConflicts: true } },
+    { category: 'failingChecks', when: { checks: 'failure' } },
+    { category: 'needsProlificCommentersApproval', when: { prolificReRequested: true } },
+    { category: 'hasCommentsToFix', when: { commentsToFix: true } },
+    { category: 'needsMerging', when: { approved: true, reviewOwnerApproved: false } },
+    { category: 'needsProlificCommentersApproval', when: { prolificWithoutApproval: true } },
+    { category: 'needOneMoreApproval', when: { approvals: { gte: 1 }, missingApprovals: 1 } },
+    { category: 'requiresReview', when: { missingApprovals: { gte: 1 } } },
+    { category: 'needsRequiredReviewers', when: { missingReviewers: true } }
+  ]
+};
+
+/**
+ * Read and parse a JSON config file
+ */
+function readConfigFile(configPath) {
+  let contents;
+  try {
+    contents = fs.readFileSync(configPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read config file "${configPath}": ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(contents);
+  } catch (error) {
+    throw new Error(`Invalid JSON in config file "${configPath}": ${error.message}`);
+  }
+}
+
+/**
+ * Load config from the given file, or from .prgenrc.json if it exists
+ * Top-level keys from the file replace the defaults wholesale
+ */
+function loadConfig(configPath = null) {
+  let userConfig = {};
+
+  if (configPath) {
+    userConfig = readConfigFile(configPath);
+  } else {
+    const defaultPath = path.resolve(DEFAULT_CONFIG_FILE);
+    if (fs.existsSync(defaultPath)) {
+      userConfig = readConfigFile(defaultPath);
+    }
+  }
+
+  return resolveConfig(userConfig);
+}
+
+/**
+ * Check that login and pattern lists are arrays of strings, and that regex
+ * patterns compile
+ */
+function validatePatternLists(config) {
+  const lists = {
+    priorityLabels: config.priorityLabels,
+    excludeAuthors: config.excludeAuthors,
+    reviewOwners: config.reviewOwners,
+    'bots.allow': config.bots && config.bots.allow,
+    'bots.deny': config.bots && config.bots.deny,
+    'bots.patterns': config.bots && config.bots.patterns
+  };
+
+  Object.entries(lists).forEach(([key, list]) => {
+    if (list === undefined) return;
+    if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+      throw new Error(`Config "${key}" must be an array of strings`);
+    }
+    list.forEach(pattern => {
+      try {
+        toMatcher(pattern);
+      } catch (error) {
+        throw new Error(`Invalid pattern "${pattern}" in config "${key}": ${error.message}`);
+      }
+    });
+  });
+}
+
+/**
+ * Check that priority tiers have unique ids that don't clash with categories,
+ * and something to match PRs with
+ */
+function validatePriorityTiers(tiers, categories) {
+  if (!Array.isArray(tiers)) {
+    throw new Error('Config "priorityTiers" must be an array');
+  }
+
+  const ids = new Set(categories.map(category => category.id).concat('stale'));
+  tiers.forEach((tier, index) => {
+    if (!tier.id) {
+      throw new Error(`Priority tier #${index + 1} is missing an "id"`);
+    }
+    if (ids.has(tier.id)) {
+      throw new Error(`Priority tier id "${tier.id}" is already used by a category or another tier`);
+    }
+    ids.add(tier.id);
+
+    ['labels', 'milestones'].forEach(key => {
+      const list = tier[key];
+      if (list === undefined) return;
+      if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+        throw new Error(`"${key}" of priority tier "${tier.id}" must be an array of strings`);
+      }
+      list.forEach(pattern => {
+        try {
+          toMatcher(pattern);
+        } catch (error) {
+          throw new Error(`Invalid pattern "${pattern}" in "${key}" of priority tier "${tier.id}": ${error.message}`);
+        }
+      });
+    });
+    if ((tier.labels || []).length === 0 && (tier.milestones || []).length === 0) {
+      throw new Error(`Priority tier "${tier.id}" needs "labels" or "milestones" patterns`);
+    }
+  });
+}
+
+/**
+ * Merge a user config object over the defaults and validate it
+ */
+function resolveConfig(userConfig = {}) {
+  const config = { ...DEFAULT_CONFIG, ...userConfig };
+  // Unlike other keys, approval policy settings left out keep their defaults
+  config.approvalPolicy = { ...DEFAULT_CONFIG.approvalPolicy, ...userConfig.approvalPolicy };
+  validateRules(config.categories, config.rules);
+
+  if (!SORT_KEYS.includes(config.sort)) {
+    throw new Error(`Unknown sort "${config.sort}". Use one of: ${SORT_KEYS.join(', ')}`);
+  }
+  validatePatternLists(config);
+  if (config.priorityTiers === null) {
+    // Configs that still route priority PRs to a "highPriority" category of
+    // their own keep doing so instead of getting the default tier
+    const hasPriorityCategory = config.categories.some(category => category.id === DEFAULT_PRIORITY_TIER.id);
+    config.priorityTiers = hasPriorityCategory ? [] : [{ ...DEFAULT_PRIORITY_TIER, labels: config.priorityLabels }];
+  }
+  validatePriorityTiers(config.priorityTiers, config.categories);
+  validatePolicy(config.approvalPolicy || {}, 'approvalPolicy');
+  Object.entries(config.repositories || {}).forEach(([pattern, settings]) => {
+    validatePolicy(settings.approvalPolicy || {}, `repositories["${pattern}"].approvalPolicy`);
+  });
+  ['firstReview', 'inactivity'].forEach(key => {
+    if (config.sla && config.sla[key]) {
+      parseSLADuration(config.sla[key]);
+    }
+  });
+
+  return config;
+}
+
+module.exports = {
+  SORT_KEYS,
+  DEFAULT_CONFIG,
+  DEFAULT_CONFIG_FILE,
+  loadConfig,
+  resolveConfig
+};
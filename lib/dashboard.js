@@ -0,0 +1,200 @@
+/**
+ * Local web dashboard (the "serve" subcommand)
+ *
+ * Keeps the categorized report in memory and serves it as JSON, along with a
+ * page that filters it by repository, author, label, reviewer and category.
+ *
+ *   GET  /             the dashboard page
+ *   GET  /api/report   the report model (see schema/report.schema.json)
+ *   POST /api/refresh  refetch every repository, then return the new report
+ *
+ * It listens on 127.0.0.1 unless --host says otherwise. Refreshes must be sent
+ * as JSON: a cross-site form can't set that content type, so another page the
+ * user has open can't make the server refetch everything. Requests must also
+ * name the server in their Host header, so a page on a domain rebound to this
+ * address (DNS rebinding) can't read the report
+ */
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_PORT } = require('./watcher');
+
+const PAGE_PATH = path.join(__dirname, 'dashboard.html');
+const DEFAULT_HOST = '127.0.0.1';
+
+// IPv6 addresses are bracketed in URLs
+const formatHost = host => (host.includes(':') ? `[${host}]` : host);
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+/**
+ * Split a Host header into its lowercased name (without IPv6 brackets) and
+ * port, or return null if it isn't one
+ */
+function parseHostHeader(header) {
+  const match = /^(?:\[([0-9a-f:.]+)\]|([^:[\]]+))(?::(\d+))?$/i.exec(header || '');
+  if (!match) return null;
+  return { name: (match[1] || match[2]).toLowerCase(), port: Number(match[3] || 80) };
+}
+
+const repositoryKey = ({ owner, repo, provider = 'github' }) => `${provider}:${owner}/${repo}`.toLowerCase();
+
+class Dashboard {
+  constructor(generator, options = {}) {
+    this.generator = generator;
+    this.repoInputs = options.repoInputs || [];
+    this.port = options.port || DEFAULT_PORT;
+    this.host = options.host || DEFAULT_HOST;
+    this.page = fs.readFileSync(PAGE_PATH, 'utf8');
+    this.repoData = [];
+    this.report = null;
+    this.refreshing = null;
+    this.server = null;
+  }
+
+  /**
+   * Load the report, then start serving it
+   */
+  async start() {
+    await this.refresh();
+    await this.listen();
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+    }
+  }
+
+  /**
+   * Refetch every repository and rebuild the report
+   * Refreshes requested while one is running share it instead of starting
+   * another; repositories that fail keep the PRs from their last fetch
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = (async () => {
+        this.generator.clearCaches();
+        const repositories = await this.generator.resolveRepositories(this.repoInputs);
+        const fetched = await this.generator.fetchRepositories(repositories);
+
+        const known = new Map(this.repoData.concat(fetched).map(data => [repositoryKey(data), data]));
+        const repoData = repositories.map(repository => known.get(repositoryKey(repository))).filter(Boolean);
+        if (repoData.length === 0) {
+          throw new Error('No repositories were successfully processed');
+        }
+
+        this.repoData = repoData;
+        this.report = this.generator.buildReport(repoData);
+        return this.report;
+      })().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Check that a request's Host header names this server: the address it
+   * listens on, or any name for loopback when it listens on loopback. Listening
+   * on every interface (--host 0.0.0.0), the machine's hostname and IP
+   * addresses are accepted
+   */
+  isAllowedHost(header) {
+    const host = parseHostHeader(header);
+    if (!host || host.port !== this.port) return false;
+
+    const bound = this.host.toLowerCase();
+    if (WILDCARD_HOSTS.includes(bound)) {
+      return net.isIP(host.name) !== 0 || host.name === 'localhost' || host.name === os.hostname().toLowerCase();
+    }
+    if (LOOPBACK_HOSTS.includes(bound)) {
+      return LOOPBACK_HOSTS.includes(host.name);
+    }
+    return host.name === bound;
+  }
+
+  /**
+   * Route a request
+   */
+  async handle(req, res) {
+    const send = (status, type, body) => {
+      res.writeHead(status, { 'Content-Type': `${type}; charset=utf-8`, 'Cache-Control': 'no-store' });
+      res.end(body);
+    };
+    const sendJSON = (status, body) => send(status, 'application/json', `${JSON.stringify(body, null, 2)}\n`);
+
+    if (!this.isAllowedHost(req.headers.host)) {
+      sendJSON(421, { error: `Unknown host "${req.headers.host || ''}". Open the dashboard through the address it listens on` });
+      return;
+    }
+
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch (error) {
+      sendJSON(400, { error: 'Bad request' });
+      return;
+    }
+
+    const routes = {
+      '/': { GET: () => send(200, 'text/html', this.page) },
+      '/api/report': { GET: () => sendJSON(200, this.report) },
+      '/api/refresh': {
+        POST: async () => {
+          if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+            sendJSON(415, { error: 'Send refreshes with Content-Type: application/json' });
+            return;
+          }
+          try {
+            sendJSON(200, await this.refresh());
+          } catch (error) {
+            console.error(`❌ Refresh failed: ${error.message}`);
+            sendJSON(502, { error: error.message });
+          }
+        }
+      }
+    };
+
+    const route = routes[pathname];
+    if (!route) {
+      sendJSON(404, { error: 'Not found' });
+    } else if (!route[req.method]) {
+      sendJSON(405, { error: `Use ${Object.keys(route).join(' or ')}` });
+    } else {
+      await route[req.method]();
+    }
+  }
+
+  /**
+   * Start serving. A request that fails is answered with 500 and never stops the server
+   */
+  listen() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        console.error(`❌ Request failed: ${error.message}`);
+        if (res.headersSent) {
+          res.end();
+        } else {
+          res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+          res.end(`${JSON.stringify({ error: 'Internal error' })}\n`);
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        console.log(`🌐 Dashboard running on http://${formatHost(this.host)}:${this.port}/`);
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = Dashboard;
+module.exports.DEFAULT_HOST = DEFAULT_HOST;
@@ -0,0 +1,132 @@
+/**
+ * Repository discovery
+ *
+ * Finds the repositories to report on without listing them by hand: every
+ * non-archived repository in an organization (--org), or the repositories and
+ * PRs matching a GitHub search query (--query).
+ */
+
+/**
+ * Turn a glob such as "legacy-*" into a regular expression
+ * "*" matches any run of characters except "/", "?" a single one
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '[^/]*';
+      if (char === '?') return '[^/]';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check whether a repository matches any exclude glob
+ * Globs containing "/" are matched against "owner/repo", others against the name
+ */
+function isExcluded(owner, repo, exclude = []) {
+  return exclude.some(glob => {
+    const target = glob.includes('/') ? `${owner}/${repo}` : repo;
+    return globToRegExp(glob).test(target);
+  });
+}
+
+/**
+ * List the non-archived repositories of an organization (or user), optionally
+ * keeping only those with one of the given topics
+ * Returns [{ owner, repo, numbers: null }]
+ */
+async function listOrganizationRepositories(client, org, { topics = [], exclude = [] } = {}) {
+  let repos;
+  try {
+    repos = await client.paginate(`/orgs/${org}/repos`, { type: 'all' });
+  } catch (error) {
+    if (error.response?.status !== 404) throw error;
+    // Not an organization; personal accounts have their own endpoint
+    repos = await client.paginate(`/users/${org}/repos`, { type: 'owner' });
+  }
+
+  const wantedTopics = topics.map(topic => topic.toLowerCase());
+
+  return repos
+    .filter(repo => !repo.archived)
+    .filter(repo => wantedTopics.length === 0 || (repo.topics || []).some(topic => wantedTopics.includes(topic)))
+    .filter(repo => !isExcluded(repo.owner.login, repo.name, exclude))
+    .map(repo => ({ owner: repo.owner.login, repo: repo.name, numbers: null }));
+}
+
+/**
+ * Run a GitHub issue search and group the matching PRs by repository
+ * "is:pr" and "is:open" are added to the query if it doesn't already restrict
+ * the type and state. GitHub only returns the first 1000 results, so a warning
+ * is printed when some matches were left out
+ * Returns [{ owner, repo, numbers }]
+ */
+async function searchPullRequests(client, query, { exclude = [] } = {}) {
+  let q = query;
+  if (!/(^|\s)(is|type):pr(\s|$)/i.test(q)) {
+    q = `${q} is:pr`;
+  }
+  if (!/(^|\s)-?(is:(open|closed|merged|unmerged)|state:\S+)(\s|$)/i.test(q)) {
+    q = `${q} is:open`;
+  }
+
+  let totalCount = 0;
+  let incomplete = false;
+  const items = await client.paginate('/search/issues', { q }, 'items', response => {
+    totalCount = response.data.total_count;
+    incomplete = incomplete || Boolean(response.data.incomplete_results);
+  });
+  if (totalCount > items.length) {
+    console.warn(`⚠️  The search matched ${totalCount} PRs but only ${items.length} were returned; narrow the query to include the rest`);
+  } else if (incomplete) {
+    console.warn('⚠️  GitHub timed out before finishing the search, so some matching PRs may be missing');
+  }
+
+  const byRepository = new Map();
+  items.forEach(item => {
+    const [owner, repo] = item.repository_url.split('/').slice(-2);
+    const key = `${owner}/${repo}`;
+    if (!byRepository.has(key)) {
+      byRepository.set(key, { owner, repo, numbers: [] });
+    }
+    byRepository.get(key).numbers.push(item.number);
+  });
+
+  return Array.from(byRepository.values())
+    .filter(({ owner, repo }) => !isExcluded(owner, repo, exclude));
+}
+
+/**
+ * Combine repository targets, removing duplicates
+ * A target with numbers: null means "every open PR" and wins over PR lists;
+ * PR lists for the same repository are merged
+ */
+function mergeRepositoryTargets(targets) {
+  const merged = new Map();
+
+  targets.forEach(target => {
+    const key = `${target.provider || 'github'}:${target.owner}/${target.repo}`.toLowerCase();
+    const existing = merged.get(key);
+
+    if (!existing) {
+      merged.set(key, { ...target, numbers: target.numbers && [...target.numbers] });
+    } else if (existing.numbers && target.numbers) {
+      existing.numbers = Array.from(new Set(existing.numbers.concat(target.numbers)));
+    } else {
+      existing.numbers = null;
+    }
+  });
+
+  return Array.from(merged.values());
+}
+
+module.exports = {
+  globToRegExp,
+  isExcluded,
+  listOrganizationRepositories,
+  searchPullRequests,
+  mergeRepositoryTargets
+};
@@ -0,0 +1,101 @@
+/**
+ * Parse human-friendly durations such as "90s", "15m", "2h", "1d" or "1w"
+ * into milliseconds. A bare number is treated as seconds.
+ *
+ * SLA durations may also be given in business days ("2bd"), which skip
+ * Saturdays and Sundays.
+ */
+
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const DAY = UNITS.d;
+
+function parseDuration(input) {
+  if (typeof input === 'number') {
+    return input * 1000;
+  }
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?\s*$/i.exec(String(input));
+  if (!match) {
+    throw new Error(`Invalid duration "${input}". Use a number of seconds or a value like 30s, 15m, 2h, 1d`);
+  }
+
+  const [, amount, unit = 's'] = match;
+  return Math.round(Number(amount) * UNITS[unit.toLowerCase()]);
+}
+
+/**
+ * Parse an SLA duration: anything parseDuration accepts, or business days ("2bd")
+ * Returns { ms, businessDays, label }
+ */
+function parseSLADuration(input) {
+  const businessMatch = /^\s*(\d+(?:\.\d+)?)\s*bd\s*$/i.exec(String(input));
+  if (businessMatch) {
+    const days = Number(businessMatch[1]);
+    return {
+      ms: days * DAY,
+      businessDays: true,
+      label: `${days} business day${days !== 1 ? 's' : ''}`
+    };
+  }
+
+  return { ms: parseDuration(input), businessDays: false, label: String(input).trim() };
+}
+
+/**
+ * Milliseconds between two dates, not counting Saturdays and Sundays (UTC)
+ */
+function businessMsBetween(start, end) {
+  let total = 0;
+  let cursor = start.getTime();
+  const endTime = end.getTime();
+
+  while (cursor < endTime) {
+    const dayEnd = (Math.floor(cursor / DAY) + 1) * DAY;
+    const sliceEnd = Math.min(dayEnd, endTime);
+    const weekday = new Date(cursor).getUTCDay();
+
+    if (weekday !== 0 && weekday !== 6) {
+      total += sliceEnd - cursor;
+    }
+    cursor = sliceEnd;
+  }
+
+  return total;
+}
+
+/**
+ * Check whether the time between two dates exceeds an SLA duration
+ */
+function exceedsSLA(start, end, sla) {
+  const elapsed = sla.businessDays ? businessMsBetween(start, end) : end - start;
+  return elapsed > sla.ms;
+}
+
+/**
+ * Format elapsed milliseconds compactly: "45m", "5h", "3d"
+ */
+function formatElapsed(ms) {
+  if (ms < UNITS.h) {
+    return `${Math.max(0, Math.floor(ms / UNITS.m))}m`;
+  }
+  if (ms < DAY) {
+    return `${Math.floor(ms / UNITS.h)}h`;
+  }
+  return `${Math.floor(ms / DAY)}d`;
+}
+
+module.exports = {
+  parseDuration,
+  parseSLADuration,
+  businessMsBetween,
+  exceedsSLA,
+  formatElapsed
+};
@@ -0,0 +1,96 @@
+/**
+ * PR fixtures for --record and --replay
+ *
+ * A fixture holds a repository's PRs exactly as the generator has them after
+ * fetching: the PR with its reviews, reviewComments, issueComments, review
+ * threads, checks, expanded team requests and resolved approval policy. Each
+ * repository is one file, <dir>/<owner>/<repo>.json (<dir>/@<provider>/... for
+ * providers other than GitHub), so fixtures can be read, edited and checked in
+ * as test data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROVIDER = 'github';
+
+class FixtureStore {
+  constructor(options = {}) {
+    this.dir = options.dir;
+  }
+
+  getPath(owner, repo, provider = DEFAULT_PROVIDER) {
+    // "@" can't start an owner name, so provider directories never clash with owners
+    const base = provider === DEFAULT_PROVIDER ? this.dir : path.join(this.dir, `@${provider}`);
+    return path.join(base, ...owner.split('/'), `${repo}.json`);
+  }
+
+  /**
+   * Save a repository's PRs
+   * Returns the fixture's path
+   */
+  save(owner, repo, prs, recordedAt, provider = DEFAULT_PROVIDER) {
+    const file = this.getPath(owner, repo, provider);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify({ owner, repo, provider, recordedAt, prs }, null, 2)}\n`);
+    return file;
+  }
+
+  /**
+   * Load a repository's fixture: { owner, repo, provider, recordedAt, prs }
+   */
+  load(owner, repo, provider = DEFAULT_PROVIDER) {
+    return this.read(this.getPath(owner, repo, provider));
+  }
+
+  read(file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`No fixture at ${file}`);
+    }
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read fixture "${file}": ${error.message}`);
+    }
+  }
+
+  /**
+   * List the fixture files under the directory
+   */
+  listFiles(dir = this.dir) {
+    if (dir === this.dir && !fs.existsSync(dir)) {
+      throw new Error(`Fixture directory "${this.dir}" does not exist`);
+    }
+
+    return fs.readdirSync(dir, { withFileTypes: true }).reduce((files, entry) => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) return files.concat(this.listFiles(entryPath));
+      return entry.name.endsWith('.json') ? files.concat(entryPath) : files;
+    }, []);
+  }
+
+  /**
+   * List the recorded repositories as [{ owner, repo, provider }], sorted by name
+   */
+  list() {
+    return this.listFiles()
+      .map(file => {
+        const { owner, repo, provider = DEFAULT_PROVIDER } = this.read(file);
+        return { owner, repo, provider };
+      })
+      .sort((a, b) => `${a.owner}/${a.repo}`.localeCompare(`${b.owner}/${b.repo}`));
+  }
+
+  /**
+   * Get the time of the most recent recording, or null without fixtures
+   */
+  getRecordedAt() {
+    const times = this.listFiles()
+      .map(file => this.read(file).recordedAt)
+      .filter(Boolean)
+      .sort();
+    return times.length > 0 ? times[times.length - 1] : null;
+  }
+}
+
+module.exports = FixtureStore;
@@ -0,0 +1,423 @@
+/**
+ * GitHub GraphQL (v4) data source
+ *
+ * Fetches open PRs together with their labels, review requests, reviews,
+ * review threads and comments in paginated bulk queries, then normalizes
+ * them into the same shape as the REST API objects the generator consumes.
+ */
+
+const { summarizeChecks } = require('./checks');
+
+const PR_PAGE_SIZE = 25;
+const NESTED_PAGE_SIZE = 100;
+const THREAD_PAGE_SIZE = 50;
+
+const COMMENT_FIELDS = `
+  author { login __typename }
+  body
+  createdAt
+`;
+
+const REVIEW_FIELDS = `
+  author { login __typename }
+  state
+  submittedAt
+  commit { oid }
+`;
+
+const THREAD_FIELDS = `
+  id
+  isResolved
+  isOutdated
+  comments(first: ${THREAD_PAGE_SIZE}) {
+    pageInfo { hasNextPage endCursor }
+    nodes { ${COMMENT_FIELDS} }
+  }
+`;
+
+const REVIEW_THREADS_FIELDS = `
+  reviewThreads(first: ${THREAD_PAGE_SIZE}) {
+    pageInfo { hasNextPage endCursor }
+    nodes { ${THREAD_FIELDS} }
+  }
+`;
+
+// Mergeability, size and the CI status of the head commit
+const MERGE_STATUS_FIELDS = `
+  mergeable
+  mergeStateStatus
+  additions
+  deletions
+  commits(last: 1) {
+    nodes {
+      commit {
+        statusCheckRollup {
+          contexts(first: 100) {
+            nodes {
+              __typename
+              ... on CheckRun { name status conclusion }
+              ... on StatusContext { context state }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const PULL_REQUEST_FIELDS = `
+  id
+  number
+  title
+  url
+  isDraft
+  createdAt
+  updatedAt
+  headRefOid
+  baseRefName
+  ${MERGE_STATUS_FIELDS}
+  author { login __typename }
+  labels(first: 100) { nodes { name } }
+  milestone { title }
+  reviewRequests(first: 100) {
+    nodes {
+      requestedReviewer {
+        __typename
+        ... on User { login }
+        ... on Bot { login }
+        ... on Mannequin { login }
+        ... on Team { slug name }
+      }
+    }
+  }
+  reviews(first: ${NESTED_PAGE_SIZE}) {
+    pageInfo { hasNextPage endCursor }
+    nodes { ${REVIEW_FIELDS} }
+  }
+  ${REVIEW_THREADS_FIELDS}
+  comments(first: ${NESTED_PAGE_SIZE}) {
+    pageInfo { hasNextPage endCursor }
+    nodes { ${COMMENT_FIELDS} }
+  }
+`;
+
+const PULL_REQUESTS_QUERY = `
+  query($owner: String!, $repo: String!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequests(states: OPEN, first: ${PR_PAGE_SIZE}, after: $cursor, orderBy: { field: CREATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ${PULL_REQUEST_FIELDS} }
+      }
+    }
+  }
+`;
+
+// What the REST API can't list in bulk (review threads, mergeability, size and
+// CI status) for every open PR, or for a single one
+const STATUS_FIELDS = `
+  id
+  number
+  ${MERGE_STATUS_FIELDS}
+  ${REVIEW_THREADS_FIELDS}
+`;
+
+const REPOSITORY_STATUS_QUERY = `
+  query($owner: String!, $repo: String!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequests(states: OPEN, first: ${PR_PAGE_SIZE}, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ${STATUS_FIELDS} }
+      }
+    }
+  }
+`;
+
+const PULL_REQUEST_STATUS_QUERY = `
+  query($owner: String!, $repo: String!, $number: Int!) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) { ${STATUS_FIELDS} }
+    }
+  }
+`;
+
+// Follow-up queries for nested connections that did not fit in the first page
+const CONNECTION_QUERIES = {
+  reviews: `
+    query($id: ID!, $cursor: String) {
+      node(id: $id) {
+        ... on PullRequest {
+          connection: reviews(first: ${NESTED_PAGE_SIZE}, after: $cursor) {
+            pageInfo { hasNextPage endCursor }
+            nodes { ${REVIEW_FIELDS} }
+          }
+        }
+      }
+    }
+  `,
+  comments: `
+    query($id: ID!, $cursor: String) {
+      node(id: $id) {
+        ... on PullRequest {
+          connection: comments(first: ${NESTED_PAGE_SIZE}, after: $cursor) {
+            pageInfo { hasNextPage endCursor }
+            nodes { ${COMMENT_FIELDS} }
+          }
+        }
+      }
+    }
+  `,
+  reviewThreads: `
+    query($id: ID!, $cursor: String) {
+      node(id: $id) {
+        ... on PullRequest {
+          connection: reviewThreads(first: ${THREAD_PAGE_SIZE}, after: $cursor) {
+            pageInfo { hasNextPage endCursor }
+            nodes { ${THREAD_FIELDS} }
+          }
+        }
+      }
+    }
+  `,
+  threadComments: `
+    query($id: ID!, $cursor: String) {
+      node(id: $id) {
+        ... on PullRequestReviewThread {
+          connection: comments(first: ${NESTED_PAGE_SIZE}, after: $cursor) {
+            pageInfo { hasNextPage endCursor }
+            nodes { ${COMMENT_FIELDS} }
+          }
+        }
+      }
+    }
+  `
+};
+
+class GitHubGraphQLSource {
+  constructor(client, graphqlURL) {
+    this.client = client;
+    this.graphqlURL = graphqlURL;
+  }
+
+  /**
+   * Run a GraphQL query, throwing on GraphQL-level errors
+   */
+  async query(query, variables) {
+    const response = await this.client.request({
+      method: 'post',
+      url: this.graphqlURL,
+      data: { query, variables }
+    });
+
+    const { data, errors } = response.data;
+    if (errors && errors.length > 0) {
+      const error = new Error(errors.map(e => e.message).join('; '));
+      error.graphqlErrors = errors;
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Fetch the remaining pages of a nested connection, starting after the given cursor
+   */
+  async fetchRemaining(queryName, id, pageInfo) {
+    let nodes = [];
+    let cursor = pageInfo.endCursor;
+    let hasNextPage = pageInfo.hasNextPage;
+
+    while (hasNextPage) {
+      const data = await this.query(CONNECTION_QUERIES[queryName], { id, cursor });
+      const connection = data.node.connection;
+      nodes = nodes.concat(connection.nodes);
+      cursor = connection.pageInfo.endCursor;
+      hasNextPage = connection.pageInfo.hasNextPage;
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Fill in any nested connections of a PR node that have more pages
+   */
+  async completePullRequest(node) {
+    const [reviews, comments] = await Promise.all([
+      this.fetchRemaining('reviews', node.id, node.reviews.pageInfo),
+      this.fetchRemaining('comments', node.id, node.comments.pageInfo),
+      this.completeReviewThreads(node)
+    ]);
+
+    node.reviews.nodes = node.reviews.nodes.concat(reviews);
+    node.comments.nodes = node.comments.nodes.concat(comments);
+
+    return node;
+  }
+
+  /**
+   * Fill in the remaining review threads of a PR node, and their comments
+   */
+  async completeReviewThreads(node) {
+    const reviewThreads = await this.fetchRemaining('reviewThreads', node.id, node.reviewThreads.pageInfo);
+    node.reviewThreads.nodes = node.reviewThreads.nodes.concat(reviewThreads);
+
+    await Promise.all(node.reviewThreads.nodes.map(async thread => {
+      const threadComments = await this.fetchRemaining('threadComments', thread.id, thread.comments.pageInfo);
+      thread.comments.nodes = thread.comments.nodes.concat(threadComments);
+    }));
+  }
+
+  /**
+   * Fetch the review threads, mergeability, size and CI status of every open
+   * PR in a repository, in paginated bulk queries, as a Map from PR number to
+   * { reviewThreads, mergeable, mergeable_state, additions, deletions, checks }
+   * Used to complement the REST API, which has none of them in its PR list
+   */
+  async fetchRepositoryStatus(owner, repo) {
+    let nodes = [];
+    let cursor = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const data = await this.query(REPOSITORY_STATUS_QUERY, { owner, repo, cursor });
+      const connection = data.repository.pullRequests;
+      nodes = nodes.concat(connection.nodes);
+      cursor = connection.pageInfo.endCursor;
+      hasNextPage = connection.pageInfo.hasNextPage;
+    }
+
+    await Promise.all(nodes.map(node => this.completeReviewThreads(node)));
+    return new Map(nodes.map(node => [node.number, normalizeStatus(node)]));
+  }
+
+  /**
+   * Fetch the same status as fetchRepositoryStatus for a single PR
+   * Used for PRs fetched by number through the REST API
+   */
+  async fetchPullRequestStatus(owner, repo, number) {
+    const data = await this.query(PULL_REQUEST_STATUS_QUERY, { owner, repo, number });
+    const node = data.repository.pullRequest;
+    await this.completeReviewThreads(node);
+    return normalizeStatus(node);
+  }
+
+  /**
+   * Fetch all open, non-draft PRs for a repository in normalized form
+   */
+  async fetchPullRequests(owner, repo, onProgress = () => {}) {
+    let nodes = [];
+    let cursor = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const data = await this.query(PULL_REQUESTS_QUERY, { owner, repo, cursor });
+      const connection = data.repository.pullRequests;
+      nodes = nodes.concat(connection.nodes.filter(node => !node.isDraft));
+      cursor = connection.pageInfo.endCursor;
+      hasNextPage = connection.pageInfo.hasNextPage;
+    }
+
+    let completed = 0;
+    return Promise.all(nodes.map(async node => {
+      await this.completePullRequest(node);
+      completed++;
+      onProgress(completed, nodes.length);
+      return normalizePullRequest(node);
+    }));
+  }
+}
+
+/**
+ * Convert a GraphQL actor into the REST "user" shape
+ * Deleted accounts come back as null and are reported as "ghost"
+ */
+function normalizeUser(actor) {
+  if (!actor) {
+    return { login: 'ghost', type: 'User' };
+  }
+  return { login: actor.login, type: actor.__typename === 'Bot' ? 'Bot' : 'User' };
+}
+
+function normalizeComment(comment) {
+  return {
+    user: normalizeUser(comment.author),
+    body: comment.body,
+    created_at: comment.createdAt
+  };
+}
+
+function normalizeThread(thread) {
+  return {
+    isResolved: thread.isResolved,
+    isOutdated: thread.isOutdated,
+    comments: thread.comments.nodes.map(normalizeComment)
+  };
+}
+
+/**
+ * Convert a PR node's review threads, mergeability, size and CI status into
+ * the fields the generator attaches to REST PRs
+ */
+function normalizeStatus(node) {
+  const headCommit = node.commits.nodes[0];
+  const rollup = headCommit && headCommit.commit.statusCheckRollup;
+  const contexts = rollup ? rollup.contexts.nodes : [];
+
+  return {
+    mergeable: node.mergeable === 'UNKNOWN' ? null : node.mergeable === 'MERGEABLE',
+    mergeable_state: (node.mergeStateStatus || 'unknown').toLowerCase(),
+    additions: node.additions,
+    deletions: node.deletions,
+    checks: summarizeChecks(
+      contexts.filter(context => context.__typename === 'StatusContext'),
+      contexts.filter(context => context.__typename === 'CheckRun')
+    ),
+    reviewThreads: node.reviewThreads.nodes.map(normalizeThread)
+  };
+}
+
+/**
+ * Convert a GraphQL PR node into the REST PR shape, with reviews and
+ * comments attached the same way fetchPullRequests attaches them
+ */
+function normalizePullRequest(node) {
+  const requested = node.reviewRequests.nodes
+    .map(request => request.requestedReviewer)
+    .filter(Boolean);
+
+  const { reviewThreads, ...mergeStatus } = normalizeStatus(node);
+
+  return {
+    number: node.number,
+    title: node.title,
+    html_url: node.url,
+    draft: node.isDraft,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    user: normalizeUser(node.author),
+    head: { sha: node.headRefOid },
+    base: { ref: node.baseRefName },
+    ...mergeStatus,
+    labels: node.labels.nodes.map(label => ({ name: label.name })),
+    milestone: node.milestone ? { title: node.milestone.title } : null,
+    requested_reviewers: requested
+      .filter(reviewer => reviewer.__typename !== 'Team')
+      .map(reviewer => ({ login: reviewer.login })),
+    requested_teams: requested
+      .filter(reviewer => reviewer.__typename === 'Team')
+      .map(team => ({ slug: team.slug, name: team.name })),
+    // Pending reviews are only visible to their author and never count
+    reviews: node.reviews.nodes
+      .filter(review => review.state !== 'PENDING')
+      .map(review => ({
+        user: normalizeUser(review.author),
+        state: review.state,
+        submitted_at: review.submittedAt,
+        commit_id: review.commit ? review.commit.oid : null
+      })),
+    reviewComments: reviewThreads.reduce((acc, thread) => acc.concat(thread.comments), []),
+    issueComments: node.comments.nodes.map(normalizeComment),
+    reviewThreads
+  };
+}
+
+module.exports = GitHubGraphQLSource;
@@ -0,0 +1,258 @@
+/**
+ * Report history: JSON snapshots of past runs, and what changed between them
+ *
+ * Every run saves its report model under the history directory
+ * (~/.local/state/pr-generator/history by default, so runs from any directory
+ * share it and never write into a checkout), in a subdirectory per set of repositories so that reports
+ * covering different repositories (or different --for users) are never
+ * compared with each other.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDuration } = require('./duration');
+
+function getDefaultHistoryDir() {
+  const base = process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state');
+  return path.join(base, 'pr-generator', 'history');
+}
+
+/**
+ * Summarize a PR entry for the changes list
+ */
+function describeChange(pr, from, to) {
+  return {
+    number: pr.number,
+    title: pr.title,
+    url: pr.url,
+    repository: pr.repository,
+    from,
+    to
+  };
+}
+
+/**
+ * Compare two reports by PR URL
+ * Returns { since, added, removed, moved }; each change carries the titles of
+ * the categories the PR moved from and to (null for added or removed PRs),
+ * prefixed with its priority tier, e.g. "P1 / Requires review"
+ */
+function diffReports(previous, current) {
+  const categoryTitles = new Map();
+  [previous, current].forEach(report => {
+    report.sections.forEach(section => {
+      if (section.id !== 'stale') {
+        categoryTitles.set(section.id, section.title);
+      }
+    });
+  });
+  const titleOf = id => categoryTitles.get(id) || id;
+  // Snapshots from before priority tiers have no "priority"
+  const placeOf = pr => (pr.priority ? `${titleOf(pr.priority)} / ` : '') + titleOf(pr.category);
+
+  const entriesByURL = report => {
+    const entries = new Map();
+    report.sections.forEach(section => {
+      section.prs.forEach(pr => entries.set(pr.url, pr));
+    });
+    return entries;
+  };
+  const before = entriesByURL(previous);
+  const after = entriesByURL(current);
+
+  const added = [];
+  const moved = [];
+  after.forEach((pr, url) => {
+    const old = before.get(url);
+    if (!old) {
+      added.push(describeChange(pr, null, placeOf(pr)));
+    } else if (placeOf(old) !== placeOf(pr)) {
+      moved.push(describeChange(pr, placeOf(old), placeOf(pr)));
+    }
+  });
+
+  const removed = [];
+  before.forEach((pr, url) => {
+    if (!after.has(url)) {
+      removed.push(describeChange(pr, placeOf(pr), null));
+    }
+  });
+
+  return { since: previous.generatedAt, added, removed, moved };
+}
+
+class ReportHistory {
+  constructor(options = {}) {
+    this.dir = options.dir || getDefaultHistoryDir();
+  }
+
+  /**
+   * Name the subdirectory for a report from its repositories and user
+   * Long repository lists are shortened to a hash
+   */
+  getKey(report) {
+    const names = report.repositories.map(repository => repository.name).sort();
+    let key = names.join('+').replace(/[^\w.+-]+/g, '-');
+    if (key.length > 80) {
+      const hash = crypto.createHash('sha256').update(names.join('\n')).digest('hex').slice(0, 12);
+      key = `${names.length}-repos-${hash}`;
+    }
+    return report.for ? `${key}--for-${report.for}` : key;
+  }
+
+  /**
+   * List a report's snapshot files, oldest first
+   */
+  list(report) {
+    const dir = path.join(this.dir, this.getKey(report));
+    try {
+      return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(dir, name));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Find the snapshot to compare a report against, or null if there is none
+   * "since" can be a snapshot file, a snapshot name, a duration ("1d" picks the
+   * latest snapshot at least that old) or a date ("2025-01-14" picks the latest
+   * snapshot taken up to the end of that day). Without it, the latest snapshot
+   */
+  find(report, since = null) {
+    const snapshots = this.list(report);
+
+    if (!since) {
+      return snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+    }
+    if (fs.existsSync(since) && fs.statSync(since).isFile()) {
+      return since;
+    }
+
+    const named = snapshots.find(file => [since, `${since}.json`].includes(path.basename(file)));
+    if (named) {
+      return named;
+    }
+
+    const cutoff = this.parseCutoff(since, new Date(report.generatedAt));
+    const match = snapshots
+      .filter(file => this.getSnapshotDate(file) <= cutoff)
+      .pop();
+    if (!match) {
+      throw new Error(`No snapshot in ${path.join(this.dir, this.getKey(report))} matches --since "${since}"`);
+    }
+    return match;
+  }
+
+  /**
+   * Check a --since value before anything is fetched
+   * Given a stand-in for the report ({ repositories, for, generatedAt }), the
+   * value must match one of its snapshots. Without one (the repositories aren't
+   * known until --org or --query are resolved), it must at least be a snapshot
+   * file, the name of a snapshot of any report, a duration or a date
+   */
+  checkSince(since, report = null) {
+    if (report) {
+      this.find(report, since);
+      return;
+    }
+    if (fs.existsSync(since) && fs.statSync(since).isFile()) {
+      return;
+    }
+
+    const names = [since, `${since}.json`];
+    let keys = [];
+    try {
+      keys = fs.readdirSync(this.dir);
+    } catch (error) {
+      // No history yet
+    }
+    if (keys.some(key => names.some(name => fs.existsSync(path.join(this.dir, key, name))))) {
+      return;
+    }
+
+    this.parseCutoff(since, new Date());
+  }
+
+  /**
+   * Turn a --since duration or date into the latest acceptable snapshot time
+   */
+  parseCutoff(since, now) {
+    try {
+      return new Date(now.getTime() - parseDuration(since));
+    } catch (error) {
+      // Not a duration, try a date
+    }
+
+    const date = new Date(since);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid --since "${since}". Use a snapshot file or name, a duration such as 1d, or a date`);
+    }
+    // A bare date means "any time that day"
+    if (/^\d{4}-\d{2}-\d{2}$/.test(since.trim())) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+  }
+
+  /**
+   * Read the time a snapshot was taken from its file name
+   */
+  getSnapshotDate(file) {
+    const stamp = path.basename(file, '.json')
+      .replace(/^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, '$1:$2:$3.$4Z');
+    return new Date(stamp);
+  }
+
+  /**
+   * Load a snapshot file
+   */
+  load(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read snapshot "${file}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare a report with an earlier snapshot
+   * Returns the changes, or null when there is no snapshot to compare with
+   */
+  compare(report, since = null) {
+    const file = this.find(report, since);
+    return file ? diffReports(this.load(file), report) : null;
+  }
+
+  /**
+   * Save a report as a snapshot named after its generation time
+   * Returns the snapshot's path
+   */
+  save(report) {
+    const dir = path.join(this.dir, this.getKey(report));
+    const name = `${report.generatedAt.replace(/[:.]/g, '-')}.json`;
+    const { changes, ...snapshot } = report;
+
+    // Write to a temporary file first, so an interrupted run never leaves a
+    // truncated snapshot behind for the next run to compare with
+    const file = path.join(dir, name);
+    const tempFile = path.join(dir, `.${name}.${process.pid}.tmp`);
+    fs.mkdirSync(dir, { recursive: true });
+    try {
+      fs.writeFileSync(tempFile, JSON.stringify(snapshot, null, 2));
+      fs.renameSync(tempFile, file);
+    } catch (error) {
+      fs.rmSync(tempFile, { force: true });
+      throw error;
+    }
+    return file;
+  }
+}
+
+module.exports = ReportHistory;
+module.exports.getDefaultHistoryDir = getDefaultHistoryDir;
+module.exports.diffReports = diffReports;
@@ -0,0 +1,113 @@
+/**
+ * GitHub hosts: github.com and GitHub Enterprise Server
+ *
+ * The API URL (GITHUB_API_URL or --api-url) decides where requests go and
+ * which host repository URLs may point at: github.com's API lives on
+ * api.github.com, a GHE server's on https://<host>/api/v3.
+ */
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+/**
+ * Check and normalize an API URL, removing any trailing slash
+ */
+function normalizeAPIURL(apiURL) {
+  let url;
+  try {
+    url = new URL(apiURL);
+  } catch (error) {
+    throw new Error(`Invalid API URL "${apiURL}". Use a URL such as https://ghe.example.com/api/v3`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`Invalid API URL "${apiURL}". Use an http or https URL`);
+  }
+  return apiURL.replace(/\/+$/, '');
+}
+
+/**
+ * Get the web host repositories are browsed on from the API URL:
+ * "api.github.com" → "github.com", "https://ghe.acme.corp/api/v3" → "ghe.acme.corp"
+ */
+function getWebHost(apiURL) {
+  return new URL(apiURL).host.replace(/^api\./, '').toLowerCase();
+}
+
+/**
+ * Get the GraphQL endpoint for an API URL; GHE serves it at /api/graphql
+ * rather than under /api/v3
+ */
+function getGraphQLURL(apiURL) {
+  return /\/api\/v3$/.test(apiURL) ?
+    apiURL.replace(/\/api\/v3$/, '/api/graphql') :
+    `${apiURL}/graphql`;
+}
+
+/**
+ * Split a repository input into its host (or null) and path
+ * Handles "https://host/owner/repo", "ssh://git@host/owner/repo.git",
+ * "git@host:owner/repo.git" and "host/owner/repo"
+ */
+function splitHost(input) {
+  const scp = input.match(/^[\w.-]+@([^:/]+):(.+)$/);
+  if (scp) {
+    return { host: scp[1], path: scp[2] };
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(input)) {
+    const url = new URL(input);
+    return { host: url.host, path: url.pathname };
+  }
+
+  // Owners can't contain dots, so a leading segment with one is a host
+  const [first, ...rest] = input.split('/');
+  if (first.includes('.') && rest.length > 0) {
+    return { host: first, path: rest.join('/') };
+  }
+  return { host: null, path: input };
+}
+
+/**
+ * Parse a repository input into { owner, repo, number }
+ * Accepts "owner/repo", a repository or PR URL on one of the known hosts
+ * ("https://github.com/owner/repo/pull/12"), "owner/repo/pull/12", SSH
+ * remotes and, with a default owner, a bare repository name. number is the
+ * PR number for PR URLs, otherwise null
+ */
+function parseRepositoryInput(input, { hosts = [], defaultOwner = null } = {}) {
+  const { host, path } = splitHost(input.trim());
+
+  if (host) {
+    const knownHosts = hosts.map(known => known.toLowerCase());
+    const name = host.toLowerCase().replace(/^www\./, '');
+    if (!knownHosts.includes(name)) {
+      throw new Error(`"${input}" is on ${host}, but the API URL is for ${hosts.join(', ')}. Set GITHUB_API_URL or --api-url to ${host}'s API to report on it`);
+    }
+  }
+
+  const segments = path.replace(/[?#].*$/, '').split('/').filter(Boolean);
+  if (segments.length === 1 && !host && defaultOwner) {
+    segments.unshift(defaultOwner);
+  }
+  if (segments.length < 2) {
+    throw new Error(`Invalid repository "${input}". Use "owner/repo" or a repository URL, or set --owner to use bare repository names`);
+  }
+
+  const [owner, repoName, kind, number] = segments;
+  const isPullRequest = (kind === 'pull' || kind === 'pulls') && /^\d+$/.test(number || '');
+
+  return {
+    owner,
+    // Clean up repo name (remove .git suffix if present)
+    repo: repoName.replace(/\.git$/, ''),
+    number: isPullRequest ? Number(number) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_API_URL,
+  normalizeAPIURL,
+  getWebHost,
+  getGraphQLURL,
+  splitHost,
+  parseRepositoryInput
+};
@@ -0,0 +1,331 @@
+/**
+ * HTTP request layer with a bounded concurrency pool, rate limit awareness
+ * and retries with exponential backoff
+ *
+ * Rate limit state is read from the X-RateLimit-Remaining / X-RateLimit-Reset
+ * headers. When the limit is exhausted, queued requests wait for the reset
+ * instead of failing. Secondary rate limits, 5xx responses and network errors
+ * are retried with jittered backoff. Requests marked idempotent: false (such
+ * as chat messages) are only retried when they can't have been processed: on
+ * 429 or when the connection failed before anything was sent.
+ *
+ * When given a ResponseCache, GET requests are sent with If-None-Match /
+ * If-Modified-Since and 304 responses are answered from the cache.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const RETRYABLE_NETWORK_ERRORS = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ECONNABORTED',
+  'EPIPE'
+]);
+
+// Network errors raised before the request was sent, safe to retry for any request
+const UNSENT_NETWORK_ERRORS = new Set([
+  'ECONNREFUSED',
+  'EAI_AGAIN'
+]);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class HttpClient {
+  constructor(options = {}) {
+    this.baseURL = options.baseURL;
+    this.headers = options.headers || {};
+    this.concurrency = options.concurrency || 8;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 4;
+    this.retryBaseDelay = options.retryBaseDelay !== undefined ? options.retryBaseDelay : 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 60 * 1000;
+    // Longest we are willing to wait for a primary rate limit to reset
+    this.maxRateLimitWait = options.maxRateLimitWait !== undefined ? options.maxRateLimitWait : 15 * 60 * 1000;
+    this.timeout = options.timeout || 30 * 1000;
+    this.cache = options.cache || null;
+
+    this.active = 0;
+    this.queue = [];
+    this.rateLimit = { remaining: null, reset: null };
+  }
+
+  /**
+   * Wait for a free slot in the concurrency pool
+   */
+  acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.queue.push(resolve));
+  }
+
+  /**
+   * Hand the slot to the next queued request, or free it
+   */
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Record rate limit state from response headers
+   */
+  updateRateLimit(headers = {}) {
+    const remaining = headers['x-ratelimit-remaining'];
+    const reset = headers['x-ratelimit-reset'];
+
+    if (remaining !== undefined) {
+      this.rateLimit.remaining = Number(remaining);
+    }
+    if (reset !== undefined) {
+      this.rateLimit.reset = Number(reset) * 1000;
+    }
+  }
+
+  /**
+   * Milliseconds to wait before the primary rate limit resets (0 if not limited)
+   */
+  getRateLimitWait() {
+    if (this.rateLimit.remaining !== 0 || !this.rateLimit.reset) {
+      return 0;
+    }
+    return Math.max(0, this.rateLimit.reset - Date.now()) + 1000;
+  }
+
+  /**
+   * Wait for the primary rate limit to reset if it is exhausted
+   */
+  async waitForRateLimit() {
+    const wait = this.getRateLimitWait();
+    if (wait === 0) return;
+
+    if (wait > this.maxRateLimitWait) {
+      const resetAt = new Date(this.rateLimit.reset).toLocaleTimeString();
+      throw new Error(`Rate limit exceeded (resets at ${resetAt}). Consider setting GITHUB_TOKEN environment variable`);
+    }
+
+    console.warn(`⏳ Rate limit reached, waiting ${Math.ceil(wait / 1000)}s for reset...`);
+    await sleep(wait);
+    this.rateLimit.remaining = null;
+  }
+
+  /**
+   * Exponential backoff with full jitter
+   */
+  getBackoffDelay(attempt) {
+    const ceiling = Math.min(this.maxRetryDelay, this.retryBaseDelay * Math.pow(2, attempt));
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Decide how long to wait before retrying a failed request
+   * Returns null if the error should not be retried
+   */
+  getRetryDelay(error, attempt, idempotent = true) {
+    const response = error.response;
+
+    if (!idempotent) {
+      if (response ? response.status !== 429 : !UNSENT_NETWORK_ERRORS.has(error.code)) {
+        return null;
+      }
+    }
+
+    if (!response) {
+      return RETRYABLE_NETWORK_ERRORS.has(error.code) ? this.getBackoffDelay(attempt) : null;
+    }
+
+    const { status, headers = {} } = response;
+
+    if (status === 403 || status === 429) {
+      const retryAfter = Number(headers['retry-after']);
+      if (retryAfter > 0) {
+        return retryAfter * 1000;
+      }
+      // Primary rate limit: waitForRateLimit() handles the reset on the next attempt
+      if (headers['x-ratelimit-remaining'] === '0') {
+        return 0;
+      }
+      if (status === 429 || this.isSecondaryRateLimit(response)) {
+        return Math.max(this.retryBaseDelay, this.getBackoffDelay(attempt + 1));
+      }
+      return null;
+    }
+
+    if (status >= 500) {
+      return this.getBackoffDelay(attempt);
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a 403 response is a secondary (abuse) rate limit
+   */
+  isSecondaryRateLimit(response) {
+    const message = response.data && response.data.message;
+    return typeof message === 'string' && /secondary rate limit|abuse/i.test(message);
+  }
+
+  /**
+   * Build the cache key for a request, or null if it should not be cached
+   * Keys include a hash of the credentials so tokens never share entries
+   */
+  getCacheKey(config) {
+    if (!this.cache || (config.method || 'get').toLowerCase() !== 'get') {
+      return null;
+    }
+
+    const url = axios.getUri({ baseURL: this.baseURL, url: config.url, params: config.params });
+    const authorization = this.headers['Authorization'] || '';
+    const identity = crypto.createHash('sha256').update(authorization).digest('hex').slice(0, 16);
+    return `${identity} ${url}`;
+  }
+
+  /**
+   * Send a request, answering from the cache when possible
+   */
+  async request(config) {
+    const cacheKey = this.getCacheKey(config);
+    const cached = cacheKey ? this.cache.get(cacheKey) : null;
+
+    if (cached && this.cache.isFresh(cached)) {
+      return { status: 200, data: cached.data, headers: cached.headers, fromCache: true };
+    }
+
+    if (cached) {
+      const conditionalHeaders = {};
+      if (cached.headers.etag) {
+        conditionalHeaders['If-None-Match'] = cached.headers.etag;
+      }
+      if (cached.headers['last-modified']) {
+        conditionalHeaders['If-Modified-Since'] = cached.headers['last-modified'];
+      }
+
+      config = {
+        ...config,
+        headers: { ...config.headers, ...conditionalHeaders },
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+      };
+    }
+
+    const response = await this.send(config);
+    if (!cacheKey) {
+      return response;
+    }
+
+    if (response.status === 304) {
+      this.cache.touch(cacheKey, cached);
+      return {
+        ...response,
+        status: 200,
+        data: cached.data,
+        headers: { ...cached.headers, ...response.headers },
+        fromCache: true
+      };
+    }
+
+    this.cache.set(cacheKey, response);
+    return response;
+  }
+
+  /**
+   * Send a request through the pool, retrying transient failures
+   */
+  async send({ idempotent = true, ...config }) {
+    await this.acquire();
+    try {
+      for (let attempt = 0; ; attempt++) {
+        await this.waitForRateLimit();
+
+        try {
+          const response = await axios.request({
+            baseURL: this.baseURL,
+            timeout: this.timeout,
+            ...config,
+            headers: { ...this.headers, ...config.headers }
+          });
+          this.updateRateLimit(response.headers);
+          return response;
+        } catch (error) {
+          if (error.response) {
+            this.updateRateLimit(error.response.headers);
+          }
+
+          const delay = this.getRetryDelay(error, attempt, idempotent);
+          if (delay === null || attempt >= this.maxRetries) {
+            throw error;
+          }
+
+          await sleep(delay);
+        }
+      }
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * GET a URL (absolute or relative to baseURL)
+   */
+  get(url, params = {}) {
+    return this.request({ method: 'get', url, params });
+  }
+
+  /**
+   * GET every page of a list endpoint
+   * Follows the Link header when present, otherwise keeps paging while full
+   * pages come back. For endpoints that wrap the list in an object (such as
+   * check runs), pass the name of the property holding it as itemsKey, and
+   * onPage to see each page's full response (e.g. a search's total_count)
+   */
+  async paginate(url, params = {}, itemsKey = null, onPage = null) {
+    const perPage = params.per_page || 100;
+    let items = [];
+    let nextURL = url;
+    let nextParams = { ...params, per_page: perPage, page: 1 };
+
+    while (nextURL) {
+      const response = await this.get(nextURL, nextParams);
+      const pageItems = itemsKey ? response.data[itemsKey] : response.data;
+      items = items.concat(pageItems);
+      if (onPage) {
+        onPage(response);
+      }
+
+      const linkNext = parseNextLink(response.headers.link);
+      if (linkNext) {
+        nextURL = linkNext;
+        nextParams = {};
+      } else if (response.headers.link === undefined && pageItems.length === perPage) {
+        nextParams = { ...nextParams, page: nextParams.page + 1 };
+      } else {
+        nextURL = null;
+      }
+    }
+
+    return items;
+  }
+}
+
+/**
+ * Extract the rel="next" URL from a Link header
+ */
+function parseNextLink(linkHeader) {
+  if (!linkHeader) return null;
+
+  const match = linkHeader
+    .split(',')
+    .map(part => /<([^>]+)>;\s*rel="next"/.exec(part))
+    .find(Boolean);
+
+  return match ? match[1] : null;
+}
+
+module.exports = HttpClient;
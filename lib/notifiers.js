@@ -0,0 +1,203 @@
+/**
+ * Post reports to chat tools and webhooks
+ *
+ * Supported targets:
+ *   slack          Slack incoming webhook (SLACK_WEBHOOK_URL)
+ *   teams          Microsoft Teams incoming webhook or workflow (TEAMS_WEBHOOK_URL)
+ *   webhook=<url>  Any endpoint accepting the JSON report (or WEBHOOK_URL)
+ *
+ * Chat messages are split to stay under each service's size limits.
+ */
+
+const HttpClient = require('./http-client');
+const { buildBlocks } = require('./renderers/slack');
+const { describeStatus, withBadge, repositoryTag, splitSection, groupPRs, describeChanges } = require('./renderers/format');
+
+// Slack allows at most 50 blocks per message, and large payloads get rejected
+const SLACK_MAX_BLOCKS = 50;
+const SLACK_MAX_TEXT = 30000;
+// Teams rejects payloads over ~28 KB; leave room for the card wrapper
+const TEAMS_MAX_TEXT = 20000;
+
+const TARGET_ENV_VARS = {
+  slack: 'SLACK_WEBHOOK_URL',
+  teams: 'TEAMS_WEBHOOK_URL',
+  webhook: 'WEBHOOK_URL'
+};
+
+/**
+ * Turn a --post value into { type, url }, reading URLs from the environment
+ */
+function resolveTarget(spec, env = process.env) {
+  const [type, ...rest] = spec.split('=');
+  const inlineURL = rest.join('=');
+
+  if (!TARGET_ENV_VARS[type]) {
+    throw new Error(`Unknown post target "${spec}". Use slack, teams or webhook=<url>`);
+  }
+  if (inlineURL && type !== 'webhook') {
+    throw new Error(`Set the ${type} webhook URL with the ${TARGET_ENV_VARS[type]} environment variable`);
+  }
+
+  const url = inlineURL || env[TARGET_ENV_VARS[type]];
+  if (!url) {
+    throw new Error(`--post ${type} requires the ${TARGET_ENV_VARS[type]} environment variable`);
+  }
+
+  return { type, url };
+}
+
+/**
+ * Split a list into chunks whose combined size stays under a limit,
+ * optionally also capping the number of items per chunk
+ */
+function chunkBySize(items, limit, sizeOf, maxItems = Infinity) {
+  const chunks = [];
+  let current = [];
+  let currentSize = 0;
+
+  items.forEach(item => {
+    const size = sizeOf(item);
+    const full = currentSize + size > limit || current.length >= maxItems;
+    if (current.length > 0 && full) {
+      chunks.push(current);
+      current = [];
+      currentSize = 0;
+    }
+    current.push(item);
+    currentSize += size;
+  });
+
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Build Slack messages, each within the block limit
+ */
+function buildSlackMessages(report) {
+  const blocks = buildBlocks(report);
+  const blockSize = block => JSON.stringify(block).length;
+  return chunkBySize(blocks, SLACK_MAX_TEXT, blockSize, SLACK_MAX_BLOCKS).map((chunk, index) => ({
+    text: index === 0 ? report.title : `${report.title} (continued)`,
+    blocks: chunk
+  }));
+}
+
+/**
+ * Build Teams messages as Adaptive Cards, each within the size limit
+ */
+function buildTeamsMessages(report) {
+  const summary = [`Generated on: ${report.generatedAt.split('T')[0]}`, `Total PRs: ${report.totalPRs}`];
+  const paragraphs = [summary.join(' | ')];
+
+  const changes = describeChanges(report);
+  if (changes) {
+    const lines = [];
+    changes.groups.forEach(group => {
+      lines.push(`_${group.title}_`);
+      group.items.forEach(item => {
+        lines.push(`- ${item.tag ? `\`${item.tag}\` ` : ''}[${item.title}](${item.url}) · ${item.note}`);
+      });
+    });
+    if (lines.length === 0) {
+      lines.push('No changes.');
+    }
+    chunkBySize(lines, TEAMS_MAX_TEXT, line => line.length + 1).forEach((chunk, index) => {
+      const heading = index === 0 ? `**${changes.heading}**` : `**${changes.heading}** (continued)`;
+      paragraphs.push(`${heading}\n${chunk.join('\n')}`);
+    });
+  }
+
+  report.sections.forEach(section => {
+    if (section.prs.length === 0) return;
+
+    const lines = [];
+    splitSection(section).forEach(subsection => {
+      if (subsection.heading) {
+        lines.push(`**» ${subsection.heading}**`);
+      }
+      groupPRs(report, subsection.prs).forEach(group => {
+        if (group.repository) {
+          lines.push(`_${group.repository}_`);
+        }
+        group.prs.forEach(pr => {
+          const tag = repositoryTag(report, pr);
+          const status = describeStatus(pr, report.generatedAt);
+          lines.push(`- ${withBadge(pr, `${tag ? `\`${tag}\` ` : ''}[${pr.title}](${pr.url})`)}${pr.details ? ` (${pr.details})` : ''}${status ? ` · ${status}` : ''}`);
+        });
+      });
+    });
+    // Long sections are split into several paragraphs so they can be chunked
+    chunkBySize(lines, TEAMS_MAX_TEXT, line => line.length + 1).forEach((chunk, index) => {
+      const heading = index === 0 ? `**${section.heading}**` : `**${section.heading}** (continued)`;
+      paragraphs.push(`${heading}\n${chunk.join('\n')}`);
+    });
+  });
+
+  if (report.totalPRs === 0) {
+    paragraphs.push(report.emptyMessage);
+  }
+
+  return chunkBySize(paragraphs, TEAMS_MAX_TEXT, paragraph => paragraph.length + 2)
+    .map((chunk, index) => ({
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            {
+              type: 'TextBlock',
+              text: index === 0 ? report.title : `${report.title} (continued)`,
+              weight: 'Bolder',
+              size: 'Medium',
+              wrap: true
+            }
+          ].concat(chunk.map(paragraph => ({ type: 'TextBlock', text: paragraph, wrap: true })))
+        }
+      }]
+    }));
+}
+
+/**
+ * Build the messages to send for a target
+ */
+function buildMessages(type, report) {
+  switch (type) {
+    case 'slack': return buildSlackMessages(report);
+    case 'teams': return buildTeamsMessages(report);
+    default: return [report];
+  }
+}
+
+/**
+ * Post a report to a target, one message at a time and in order
+ * Messages are only retried when they can't have been delivered, so a slow
+ * or failing webhook never gets the same message twice
+ */
+async function postReport(target, report, client = new HttpClient({ concurrency: 1 })) {
+  const messages = buildMessages(target.type, report);
+
+  for (const message of messages) {
+    await client.request({
+      method: 'post',
+      url: target.url,
+      data: message,
+      headers: { 'Content-Type': 'application/json' },
+      idempotent: false
+    });
+  }
+
+  return messages.length;
+}
+
+module.exports = {
+  resolveTarget,
+  buildMessages,
+  postReport
+};
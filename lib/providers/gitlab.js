@@ -0,0 +1,295 @@
+/**
+ * GitLab merge request provider
+ *
+ * Fetches open merge requests through the GitLab REST API (v4) and normalizes
+ * them into the same shape as the GitHub REST objects the generator consumes:
+ * approvals become APPROVED reviews, resolvable discussions become review
+ * threads, and the head pipeline becomes the CI status.
+ *
+ * Projects are addressed by their full path, which may include subgroups:
+ * "group/subgroup/project" is { owner: "group/subgroup", repo: "project" }.
+ */
+
+const HttpClient = require('../http-client');
+const { summarizeChecks } = require('../checks');
+const { getWebHost } = require('../hosts');
+
+const DEFAULT_GITLAB_API_URL = 'https://gitlab.com/api/v4';
+
+// System notes GitLab adds when a user approves or revokes an approval
+const APPROVAL_NOTES = {
+  'approved this merge request': 'APPROVED',
+  'unapproved this merge request': 'DISMISSED'
+};
+
+// Pipeline statuses that don't mean passed or failed yet
+const PENDING_PIPELINE_STATUSES = new Set([
+  'created',
+  'waiting_for_resource',
+  'preparing',
+  'pending',
+  'running',
+  'scheduled',
+  'manual'
+]);
+
+/**
+ * Convert a GitLab user into the GitHub "user" shape
+ */
+function normalizeUser(user) {
+  if (!user) {
+    return { login: 'ghost', type: 'User' };
+  }
+  return { login: user.username, type: user.bot ? 'Bot' : 'User' };
+}
+
+function normalizeNote(note) {
+  return {
+    user: normalizeUser(note.author),
+    body: note.body,
+    created_at: note.created_at
+  };
+}
+
+/**
+ * Split discussions into review threads (resolvable discussions, usually on
+ * the diff) and plain comments; system notes are left out
+ */
+function normalizeDiscussions(discussions) {
+  const reviewThreads = [];
+  const issueComments = [];
+
+  discussions.forEach(discussion => {
+    const notes = discussion.notes.filter(note => !note.system);
+    if (notes.length === 0) return;
+
+    if (notes.some(note => note.resolvable)) {
+      reviewThreads.push({
+        isResolved: notes.every(note => !note.resolvable || note.resolved),
+        // GitLab doesn't say whether a diff note is outdated
+        isOutdated: false,
+        comments: notes.map(normalizeNote)
+      });
+    } else {
+      issueComments.push(...notes.map(normalizeNote));
+    }
+  });
+
+  return { reviewThreads, issueComments };
+}
+
+/**
+ * Build APPROVED reviews for a merge request's current approvers
+ * Approval times come from the "approved this merge request" system notes;
+ * GitLab's list of approvers (approvedBy) wins when it is available, since
+ * approvals can also be reset by pushes without a note. GitLab only lists
+ * approvals that still apply, so they are all of the head commit
+ */
+function normalizeApprovals(discussions, approvedBy, headSha, updatedAt) {
+  const latestNotes = new Map();
+  discussions
+    .reduce((notes, discussion) => notes.concat(discussion.notes), [])
+    .filter(note => note.system && APPROVAL_NOTES[note.body])
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .forEach(note => latestNotes.set(note.author.username, note));
+
+  const approvers = approvedBy ?
+    approvedBy.map(approval => approval.user) :
+    Array.from(latestNotes.values())
+      .filter(note => APPROVAL_NOTES[note.body] === 'APPROVED')
+      .map(note => note.author);
+
+  return approvers.map(user => {
+    const note = latestNotes.get(user.username);
+    return {
+      user: normalizeUser(user),
+      state: 'APPROVED',
+      submitted_at: note && APPROVAL_NOTES[note.body] === 'APPROVED' ? note.created_at : updatedAt,
+      commit_id: headSha
+    };
+  });
+}
+
+/**
+ * Summarize the head pipeline in the same form as GitHub checks
+ */
+function normalizePipeline(pipeline) {
+  if (!pipeline || pipeline.status === 'skipped') {
+    return summarizeChecks([], []);
+  }
+
+  let state = 'success';
+  if (pipeline.status === 'failed' || pipeline.status === 'canceled') {
+    state = 'failure';
+  } else if (PENDING_PIPELINE_STATUSES.has(pipeline.status)) {
+    state = 'pending';
+  }
+  return summarizeChecks([{ context: `pipeline #${pipeline.id}`, state }], []);
+}
+
+/**
+ * Map GitLab's merge status onto GitHub's mergeable_state values
+ */
+function getMergeableState(mergeRequest) {
+  if (mergeRequest.has_conflicts) return 'dirty';
+  if (mergeRequest.detailed_merge_status === 'need_rebase') return 'behind';
+  if (mergeRequest.detailed_merge_status === 'mergeable') return 'clean';
+  return 'unknown';
+}
+
+/**
+ * Convert a merge request and its details into the GitHub REST PR shape, with
+ * reviews and comments attached the same way fetchPullRequests attaches them
+ * Without discussions (null when they couldn't be fetched) there are no
+ * comments and the thread state is unknown, as for GitHub PRs without a token
+ */
+function normalizeMergeRequest(mergeRequest, approvals, discussions) {
+  const { reviewThreads, issueComments } = discussions ?
+    normalizeDiscussions(discussions) :
+    { reviewThreads: undefined, issueComments: [] };
+
+  return {
+    number: mergeRequest.iid,
+    title: mergeRequest.title,
+    html_url: mergeRequest.web_url,
+    draft: Boolean(mergeRequest.draft || mergeRequest.work_in_progress),
+    created_at: mergeRequest.created_at,
+    updated_at: mergeRequest.updated_at,
+    user: normalizeUser(mergeRequest.author),
+    head: { sha: mergeRequest.sha },
+    base: { ref: mergeRequest.target_branch },
+    mergeable: mergeRequest.has_conflicts ? false : mergeRequest.detailed_merge_status === 'mergeable' || null,
+    mergeable_state: getMergeableState(mergeRequest),
+    checks: normalizePipeline(mergeRequest.head_pipeline),
+    labels: (mergeRequest.labels || []).map(name => ({ name })),
+    milestone: mergeRequest.milestone ? { title: mergeRequest.milestone.title } : null,
+    requested_reviewers: (mergeRequest.reviewers || []).map(reviewer => ({ login: reviewer.username })),
+    requested_teams: [],
+    reviews: normalizeApprovals(
+      discussions || [],
+      approvals ? approvals.approved_by : null,
+      mergeRequest.sha,
+      mergeRequest.updated_at
+    ),
+    reviewComments: reviewThreads ? reviewThreads.reduce((acc, thread) => acc.concat(thread.comments), []) : [],
+    issueComments,
+    reviewThreads,
+    // The approvals the project's approval rules require, when GitLab reports it
+    approvalsRequired: approvals && Number.isInteger(approvals.approvals_required) ? approvals.approvals_required : null
+  };
+}
+
+class GitLabProvider {
+  constructor(options = {}) {
+    this.displayName = 'GitLab';
+    this.tokenVariable = 'GITLAB_TOKEN';
+    this.baseURL = (options.baseURL || DEFAULT_GITLAB_API_URL).replace(/\/+$/, '');
+    this.webHost = getWebHost(this.baseURL);
+    this.token = options.token || null;
+
+    const headers = { 'User-Agent': 'PR-Markdown-Generator' };
+    // GitLab accepts personal access tokens as bearer tokens, which also keeps
+    // the response cache separate per token
+    if (this.token) {
+      headers['Authorization'] = `Bearer ${this.token}`;
+    }
+
+    this.client = new HttpClient({
+      baseURL: this.baseURL,
+      headers,
+      concurrency: options.concurrency,
+      maxRetries: options.maxRetries,
+      cache: options.cache || null
+    });
+  }
+
+  /**
+   * Parse a project path or URL into { owner, repo, number }
+   * Accepts "group/subgroup/project", "https://<host>/group/project",
+   * merge request URLs (".../-/merge_requests/12"), "group/project!12" and
+   * SSH remotes; number is the merge request IID or null
+   */
+  parseRepository(input) {
+    let path = input.trim();
+    const scp = path.match(/^[\w.-]+@([^:/]+):(.+)$/);
+    if (scp) {
+      path = scp[2];
+    } else if (/^[a-z][a-z0-9+.-]*:\/\//i.test(path)) {
+      path = new URL(path).pathname;
+    }
+
+    let number = null;
+    const mergeRequest = path.match(/^(.*?)(?:\/-\/merge_requests\/(\d+)|!(\d+))(?:[/?#].*)?$/);
+    if (mergeRequest) {
+      path = mergeRequest[1];
+      number = Number(mergeRequest[2] || mergeRequest[3]);
+    } else {
+      // Links to other project pages ("/-/tree/main")
+      path = path.replace(/\/-\/.*$/, '');
+    }
+
+    const segments = path.replace(/[?#].*$/, '').replace(/\.git$/, '').split('/').filter(Boolean);
+    if (segments.length < 2) {
+      throw new Error(`Invalid GitLab project "${input}". Use "gitlab:group/project" or a project URL`);
+    }
+
+    return {
+      owner: segments.slice(0, -1).join('/'),
+      repo: segments[segments.length - 1],
+      number
+    };
+  }
+
+  getProjectURL(owner, repo) {
+    return `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+  }
+
+  /**
+   * Fetch a project's open, non-draft merge requests in normalized form
+   * Pass merge request IIDs to only fetch those
+   */
+  async fetchPullRequests(owner, repo, numbers = null, onProgress = () => {}) {
+    const project = this.getProjectURL(owner, repo);
+    const mergeRequests = numbers ?
+      (await Promise.all(numbers.map(number =>
+        this.client.get(`${project}/merge_requests/${number}`)
+      ))).map(response => response.data).filter(mergeRequest => mergeRequest.state === 'opened') :
+      await this.client.paginate(`${project}/merge_requests`, { state: 'opened' });
+    const ready = mergeRequests.filter(mergeRequest => !mergeRequest.draft && !mergeRequest.work_in_progress);
+
+    // A detail request that fails only degrades its merge request, like a
+    // GitHub PR whose reviews or threads couldn't be fetched
+    let completed = 0;
+    return Promise.all(ready.map(async mergeRequest => {
+      const base = `${project}/merge_requests/${mergeRequest.iid}`;
+      const [detail, approvals, discussions] = await Promise.all([
+        // The list endpoint leaves out the head pipeline
+        numbers ? Promise.resolve(mergeRequest) : this.client.get(base)
+          .then(response => response.data)
+          .catch(error => {
+            console.warn(`Failed to fetch pipeline for !${mergeRequest.iid}: ${error.message}`);
+            return mergeRequest;
+          }),
+        this.client.get(`${base}/approvals`)
+          .then(response => response.data)
+          .catch(error => {
+            console.warn(`Failed to fetch approvals for !${mergeRequest.iid}, using approval notes: ${error.message}`);
+            return null;
+          }),
+        this.client.paginate(`${base}/discussions`)
+          .catch(error => {
+            console.warn(`Failed to fetch discussions for !${mergeRequest.iid}, counting no comments: ${error.message}`);
+            return null;
+          })
+      ]);
+
+      completed++;
+      onProgress(completed, ready.length);
+      return normalizeMergeRequest(detail, approvals, discussions);
+    }));
+  }
+}
+
+module.exports = GitLabProvider;
+module.exports.DEFAULT_GITLAB_API_URL = DEFAULT_GITLAB_API_URL;
+module.exports.normalizeMergeRequest = normalizeMergeRequest;
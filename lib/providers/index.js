@@ -0,0 +1,62 @@
+/**
+ * Code review providers besides GitHub
+ *
+ * GitHub is the generator's built-in provider. Repositories on another
+ * provider are given with its prefix ("gitlab:group/project") or as a URL on
+ * its host. A provider implements:
+ *
+ *   parseRepository(input)        → { owner, repo, number }
+ *   fetchPullRequests(owner, repo, numbers, onProgress)
+ *                                 → open, non-draft PRs in GitHub's REST shape
+ *
+ * and exposes its webHost for recognizing URLs.
+ */
+
+const GitLabProvider = require('./gitlab');
+
+const DEFAULT_PROVIDER = 'github';
+
+const PROVIDERS = {
+  gitlab: options => new GitLabProvider({
+    baseURL: process.env.GITLAB_API_URL,
+    token: process.env.GITLAB_TOKEN,
+    ...options
+  })
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Split a "provider:" prefix off a repository input
+ * Returns { provider, input }, with provider null when there is no prefix
+ */
+function splitProvider(repoInput) {
+  // "name:" but not "https://" or "git@host:"
+  const match = repoInput.match(/^([a-z]+):(?!\/\/)(.+)$/i);
+  if (!match) {
+    return { provider: null, input: repoInput };
+  }
+
+  const provider = match[1].toLowerCase();
+  if (provider === DEFAULT_PROVIDER) {
+    return { provider: DEFAULT_PROVIDER, input: match[2] };
+  }
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown provider "${match[1]}" in "${repoInput}". Use one of: ${[DEFAULT_PROVIDER, ...PROVIDER_NAMES].join(', ')}`);
+  }
+  return { provider, input: match[2] };
+}
+
+/**
+ * Create a provider by name
+ */
+function createProvider(name, options = {}) {
+  return PROVIDERS[name](options);
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  PROVIDER_NAMES,
+  splitProvider,
+  createProvider
+};
@@ -0,0 +1,28 @@
+/**
+ * Convert the Slack/GitHub emoji shortcodes used in headings to unicode for
+ * formats that don't understand shortcodes. Unknown shortcodes are kept.
+ */
+
+const EMOJI = {
+  rotating_light: '🚨',
+  white_check_mark: '✅',
+  sparkles: '✨',
+  writing_hand: '✍️',
+  wrench: '🔧',
+  zany_face: '🤪',
+  lock: '🔒',
+  x: '❌',
+  crossed_swords: '⚔️',
+  hourglass: '⏳',
+  warning: '⚠️',
+  fire: '🔥',
+  eyes: '👀',
+  speech_balloon: '💬',
+  bar_chart: '📊'
+};
+
+function replaceShortcodes(text) {
+  return text.replace(/:([a-z0-9_+-]+):/g, (shortcode, name) => EMOJI[name] || shortcode);
+}
+
+module.exports = { replaceShortcodes };
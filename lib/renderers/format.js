@@ -0,0 +1,195 @@
+/**
+ * Formatting helpers shared by the renderers
+ */
+
+const { formatElapsed } = require('../duration');
+const { formatHours } = require('../stats');
+
+const CHECK_BADGES = {
+  success: '✅',
+  failure: '❌',
+  pending: '⏳'
+};
+
+/**
+ * Get the CI badge shown before a PR's title, or '' when it has no checks
+ */
+function checkBadge(pr) {
+  return (pr.checks && CHECK_BADGES[pr.checks.state]) || '';
+}
+
+/**
+ * Prefix text with the PR's CI badge, if any
+ */
+function withBadge(pr, text) {
+  const badge = checkBadge(pr);
+  return badge ? `${badge} ${text}` : text;
+}
+
+/**
+ * Get the repository shown on each PR line, or '' when it isn't needed:
+ * single-repository reports and reports grouped by repository
+ */
+function repositoryTag(report, pr) {
+  return report.repositories.length > 1 && report.groupBy !== 'repository' ? pr.repository : '';
+}
+
+/**
+ * Split a section into the parts it is rendered in: a priority tier's
+ * category subsections, or the whole section with a null heading
+ * Returns [{ heading, prs }]
+ */
+function splitSection(section) {
+  return section.subsections || [{ heading: null, prs: section.prs }];
+}
+
+/**
+ * Split a section's PRs into subsections by repository (sorted by name) when
+ * the report is grouped by repository, otherwise return a single group
+ * Returns [{ repository, prs }], with repository null for the ungrouped case
+ */
+function groupPRs(report, prs) {
+  if (report.groupBy !== 'repository') {
+    return [{ repository: null, prs }];
+  }
+
+  const groups = new Map();
+  prs.forEach(pr => {
+    if (!groups.has(pr.repository)) {
+      groups.set(pr.repository, []);
+    }
+    groups.get(pr.repository).push(pr);
+  });
+
+  return Array.from(groups.keys())
+    .sort()
+    .map(repository => ({ repository, prs: groups.get(repository) }));
+}
+
+/**
+ * Describe a PR's age and last activity relative to the report date,
+ * e.g. "3d old, active 5h ago"
+ */
+function describeTiming(pr, generatedAt) {
+  const now = new Date(generatedAt).getTime();
+  const parts = [];
+
+  if (pr.createdAt) {
+    parts.push(`${formatElapsed(now - new Date(pr.createdAt).getTime())} old`);
+  }
+  if (pr.lastActivityAt) {
+    parts.push(`active ${formatElapsed(now - new Date(pr.lastActivityAt).getTime())} ago`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Build the suffix shown after a PR's details: its timing and any SLA breach
+ * Segments are separated with " · "
+ */
+function describeStatus(pr, generatedAt) {
+  const segments = [];
+
+  const timing = describeTiming(pr, generatedAt);
+  if (timing) {
+    segments.push(timing);
+  }
+  if (pr.mergeableState === 'dirty' || pr.mergeable === false) {
+    segments.push('merge conflicts');
+  } else if (pr.mergeableState === 'behind') {
+    segments.push('behind base branch');
+  }
+  if (pr.stale) {
+    segments.push(`:hourglass: Stale: ${pr.staleReasons.join(', ')}`);
+  }
+
+  return segments.join(' · ');
+}
+
+/**
+ * Lay out a report's "Changes since" section, or return null when the report
+ * wasn't compared with an earlier snapshot
+ * Returns { heading, groups: [{ title, items: [{ title, url, tag, note }] }] },
+ * leaving out empty groups
+ */
+function describeChanges(report) {
+  if (!report.changes) return null;
+
+  const { since, added, removed, moved } = report.changes;
+  const tagOf = change => (report.repositories.length > 1 ? change.repository : '');
+  const toItems = (changes, noteOf) => changes.map(change => ({
+    title: change.title,
+    url: change.url,
+    tag: tagOf(change),
+    note: noteOf(change)
+  }));
+
+  return {
+    heading: `Changes since ${since.slice(0, 16).replace('T', ' ')} UTC`,
+    groups: [
+      { title: 'New', items: toItems(added, change => change.to) },
+      { title: 'Moved', items: toItems(moved, change => `${change.from} → ${change.to}`) },
+      { title: 'No longer listed', items: toItems(removed, change => `was in ${change.from}`) }
+    ].filter(group => group.items.length > 0)
+  };
+}
+
+/**
+ * Lay out a report's review stats as tables, or return null without --stats
+ * Returns { heading, tables: [{ columns, rows }] } with every cell a string
+ */
+function describeStats(report) {
+  if (!report.stats) return null;
+
+  const { timeToFirstReview, firstToSecondApproval, reviewers } = report.stats;
+  const waiting = timeToFirstReview.awaiting > 0 ? ` (${timeToFirstReview.awaiting} still waiting)` : '';
+
+  return {
+    heading: 'Review stats :bar_chart:',
+    tables: [
+      {
+        columns: ['Metric', 'Median', 'Average', 'PRs'],
+        rows: [
+          ['Time to first review', formatHours(timeToFirstReview.medianHours), formatHours(timeToFirstReview.averageHours), `${timeToFirstReview.count}${waiting}`],
+          ['First to second approval', formatHours(firstToSecondApproval.medianHours), formatHours(firstToSecondApproval.averageHours), `${firstToSecondApproval.count}`]
+        ]
+      },
+      {
+        columns: ['Reviewer', 'Reviews', 'Approvals', 'Comments', 'PRs commented on', 'Blocking'],
+        rows: reviewers.map(reviewer => [
+          reviewer.login,
+          `${reviewer.reviews}`,
+          `${reviewer.approvals}`,
+          `${reviewer.comments}`,
+          `${reviewer.prsCommented}`,
+          `${reviewer.blocking}`
+        ])
+      }
+    ].filter(table => table.rows.length > 0)
+  };
+}
+
+/**
+ * Lay a stats table out as plain text lines, each column padded to its widest cell
+ */
+function formatTextTable(table) {
+  const widths = table.columns.map((column, index) =>
+    Math.max(column.length, ...table.rows.map(row => row[index].length))
+  );
+  const formatRow = row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+  return [formatRow(table.columns)].concat(table.rows.map(formatRow));
+}
+
+module.exports = {
+  checkBadge,
+  withBadge,
+  repositoryTag,
+  splitSection,
+  groupPRs,
+  describeChanges,
+  describeStats,
+  formatTextTable,
+  describeTiming,
+  describeStatus
+};
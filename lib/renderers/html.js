@@ -0,0 +1,112 @@
+/**
+ * Standalone HTML page renderer
+ */
+
+const { replaceShortcodes } = require('./emoji');
+const { describeStatus, withBadge, repositoryTag, splitSection, groupPRs, describeChanges, describeStats } = require('./format');
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderHTML(report) {
+  const lines = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHTML(report.title)}</title>`,
+    '<style>',
+    'body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; line-height: 1.5; }',
+    'h2 { border-bottom: 1px solid #d0d7de; padding-bottom: .3em; }',
+    '.details, .status { color: #57606a; }',
+    '.stale { color: #9a6700; }',
+    'table { border-collapse: collapse; margin-bottom: 1em; }',
+    'th, td { border: 1px solid #d0d7de; padding: .2em .6em; text-align: left; }',
+    '.repository { font-size: .85em; background: #f6f8fa; border-radius: 4px; padding: 0 .3em; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    `<h1>${escapeHTML(report.title)}</h1>`,
+    '<p>',
+    `Generated on: ${escapeHTML(report.generatedAt.split('T')[0])}<br>`
+  ];
+
+  if (report.repositories.length > 1) {
+    lines.push(`Repositories: ${report.repositories.length}<br>`);
+  }
+  lines.push(`Total PRs: ${report.totalPRs}`, '</p>');
+
+  const changes = describeChanges(report);
+  if (changes) {
+    lines.push(`<h2 id="changes">${escapeHTML(changes.heading)}</h2>`);
+    changes.groups.forEach(group => {
+      lines.push(`<h3>${escapeHTML(group.title)}</h3>`, '<ul>');
+      group.items.forEach(item => {
+        const tagHTML = item.tag ? `<code class="repository">${escapeHTML(item.tag)}</code> ` : '';
+        lines.push(`<li>${tagHTML}<a href="${escapeHTML(item.url)}">${escapeHTML(item.title)}</a> <span class="status">· ${escapeHTML(item.note)}</span></li>`);
+      });
+      lines.push('</ul>');
+    });
+    if (changes.groups.length === 0) {
+      lines.push('<p>No changes.</p>');
+    }
+  }
+
+  report.sections.forEach(section => {
+    if (section.prs.length === 0) return;
+
+    lines.push(`<h2 id="${escapeHTML(section.id)}">${escapeHTML(replaceShortcodes(section.heading))}</h2>`);
+    splitSection(section).forEach(subsection => {
+      // Repository headings go one level below the tier's category headings
+      let repositoryLevel = 3;
+      if (subsection.heading) {
+        lines.push(`<h3 id="${escapeHTML(`${section.id}-${subsection.id}`)}">${escapeHTML(replaceShortcodes(subsection.heading))}</h3>`);
+        repositoryLevel = 4;
+      }
+      groupPRs(report, subsection.prs).forEach(group => {
+        if (group.repository) {
+          lines.push(`<h${repositoryLevel}>${escapeHTML(group.repository)}</h${repositoryLevel}>`);
+        }
+        lines.push('<ul>');
+        group.prs.forEach(pr => {
+          const tag = repositoryTag(report, pr);
+          const tagHTML = tag ? `<code class="repository">${escapeHTML(tag)}</code> ` : '';
+          const details = pr.details ? ` <span class="details">(${escapeHTML(pr.details)})</span>` : '';
+          const status = replaceShortcodes(describeStatus(pr, report.generatedAt));
+          const statusHTML = status ? ` <span class="${pr.stale ? 'status stale' : 'status'}">· ${escapeHTML(status)}</span>` : '';
+          const link = `<a href="${escapeHTML(pr.url)}">${escapeHTML(pr.title)}</a>`;
+          lines.push(`<li>${withBadge(pr, `${tagHTML}${link}`)}${details}${statusHTML}</li>`);
+        });
+        lines.push('</ul>');
+      });
+    });
+  });
+
+  if (report.totalPRs === 0) {
+    lines.push(`<p>${escapeHTML(report.emptyMessage)}</p>`);
+  }
+
+  const stats = describeStats(report);
+  if (stats) {
+    lines.push(`<h2 id="stats">${escapeHTML(replaceShortcodes(stats.heading))}</h2>`);
+    stats.tables.forEach(table => {
+      lines.push('<table>', `<tr>${table.columns.map(column => `<th>${escapeHTML(column)}</th>`).join('')}</tr>`);
+      table.rows.forEach(row => {
+        lines.push(`<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`);
+      });
+      lines.push('</table>');
+    });
+  }
+
+  lines.push('</body>', '</html>');
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = renderHTML;
+module.exports.escapeHTML = escapeHTML;
@@ -0,0 +1,48 @@
+/**
+ * Report renderers
+ *
+ * Every renderer takes the report model built by
+ * PRMarkdownGenerator.buildReport and returns the output as a string.
+ */
+
+const markdown = require('./markdown');
+const json = require('./json');
+const html = require('./html');
+const slack = require('./slack');
+const text = require('./text');
+
+const RENDERERS = {
+  markdown: { render: markdown, extension: 'md' },
+  json: { render: json, extension: 'json' },
+  html: { render: html, extension: 'html' },
+  slack: { render: slack, extension: 'slack.json' },
+  text: { render: text, extension: 'txt' }
+};
+
+const FORMATS = Object.keys(RENDERERS);
+
+function getRenderer(format) {
+  const renderer = RENDERERS[format];
+  if (!renderer) {
+    throw new Error(`Unknown format "${format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+  return renderer;
+}
+
+/**
+ * Render a report; options are passed on to the renderer, e.g. { template }
+ * for markdown
+ */
+function render(format, report, options = {}) {
+  return getRenderer(format).render(report, options);
+}
+
+function getExtension(format) {
+  return getRenderer(format).extension;
+}
+
+module.exports = {
+  FORMATS,
+  render,
+  getExtension
+};
@@ -0,0 +1,10 @@
+/**
+ * JSON renderer
+ * Outputs the report model as-is; see schema/report.schema.json
+ */
+
+function renderJSON(report) {
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+module.exports = renderJSON;
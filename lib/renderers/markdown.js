@@ -0,0 +1,80 @@
+/**
+ * Markdown renderer (the default output format)
+ *
+ * The layout comes from a template (see lib/template.js): templates/default.md
+ * unless --template names another one. Each partial is rendered against the
+ * report model with a few values added for display, see buildContext
+ */
+
+const { checkBadge, describeStatus, repositoryTag, groupPRs, describeChanges, describeStats } = require('./format');
+const { formatElapsed } = require('../duration');
+const { getDefaultTemplate, renderPartial } = require('../template');
+
+/**
+ * Build the context the header and footer partials are rendered against:
+ * the report, with its changes and stats laid out for display
+ */
+function buildContext(report) {
+  return {
+    ...report,
+    date: report.generatedAt.split('T')[0],
+    repositoryCount: report.repositories.length,
+    multipleRepositories: report.repositories.length > 1,
+    changes: describeChanges(report),
+    stats: describeStats(report)
+  };
+}
+
+/**
+ * Build the context of a PR line: the report's PR entry, plus its CI badge,
+ * repository tag, age and status suffix
+ */
+function buildPRContext(report, pr) {
+  return {
+    ...pr,
+    badge: checkBadge(pr),
+    tag: repositoryTag(report, pr),
+    age: pr.createdAt ? formatElapsed(new Date(report.generatedAt) - new Date(pr.createdAt)) : '',
+    status: describeStatus(pr, report.generatedAt)
+  };
+}
+
+/**
+ * Build the context of a section, or of a priority tier's subsection, with its
+ * PRs split into per-repository groups when the report is grouped by repository
+ */
+function buildSectionContext(report, section) {
+  const groups = groupPRs(report, section.prs).map(group => ({
+    repository: group.repository,
+    prs: group.prs.map(pr => buildPRContext(report, pr))
+  }));
+
+  return {
+    ...section,
+    count: section.prs.length,
+    prs: groups.reduce((prs, group) => prs.concat(group.prs), []),
+    groups,
+    subsections: section.subsections ?
+      section.subsections.map(subsection => buildSectionContext(report, subsection)) :
+      null
+  };
+}
+
+function renderMarkdown(report, options = {}) {
+  const template = options.template || getDefaultTemplate();
+  const context = buildContext(report);
+
+  let markdown = renderPartial(template, 'header', [context]);
+
+  // Add each category section in configured order
+  report.sections.forEach(section => {
+    if (section.prs.length === 0) return;
+    markdown += renderPartial(template, 'section', [context, buildSectionContext(report, section)]);
+  });
+
+  markdown += renderPartial(template, 'footer', [context]);
+
+  return markdown;
+}
+
+module.exports = renderMarkdown;
@@ -0,0 +1,160 @@
+/**
+ * Slack Block Kit renderer
+ *
+ * Slack mrkdwn has no nested links, so each PR is rendered as <url|title>.
+ * Emoji shortcodes are left for Slack to render. Section text is split so no
+ * block exceeds Slack's 3000 character limit. mrkdwn has no tables, so the
+ * --stats tables are rendered as preformatted text.
+ */
+
+const { describeStatus, withBadge, repositoryTag, splitSection, groupPRs, describeChanges, describeStats, formatTextTable } = require('./format');
+
+const MAX_SECTION_TEXT = 3000;
+
+function escapeMrkdwn(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Split a line that doesn't fit in a section block at spaces or around
+ * <url|text> links, so no link or escaped character is cut in half. Only a
+ * single word or link longer than the limit is cut
+ */
+function splitLongLine(line, limit) {
+  const pieces = [];
+  let current = '';
+
+  line.match(/<[^>]*>|[^<\s]+|\s+|</g).forEach(token => {
+    if (current && (current + token).length > limit) {
+      pieces.push(current.trimEnd());
+      current = token.trimStart();
+    } else {
+      current += token;
+    }
+    while (current.length > limit) {
+      pieces.push(current.slice(0, limit));
+      current = current.slice(limit);
+    }
+  });
+
+  if (current) {
+    pieces.push(current);
+  }
+  return pieces;
+}
+
+/**
+ * Split lines into chunks that each fit within a section block
+ */
+function chunkLines(lines, limit = MAX_SECTION_TEXT) {
+  const chunks = [];
+  let current = '';
+
+  lines
+    .reduce((all, line) => all.concat(line.length > limit ? splitLongLine(line, limit) : [line]), [])
+    .forEach(line => {
+      const next = current ? `${current}\n${line}` : line;
+      if (next.length > limit && current) {
+        chunks.push(current);
+        current = line;
+      } else {
+        current = next;
+      }
+    });
+
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+function mrkdwnSection(text) {
+  return { type: 'section', text: { type: 'mrkdwn', text } };
+}
+
+/**
+ * Build the Block Kit blocks for a report
+ */
+function buildBlocks(report) {
+  const summary = [`Generated on: ${report.generatedAt.split('T')[0]}`];
+  if (report.repositories.length > 1) {
+    summary.push(`Repositories: ${report.repositories.length}`);
+  }
+  summary.push(`Total PRs: ${report.totalPRs}`);
+
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: report.title.slice(0, 150), emoji: true } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: summary.join(' | ') }] }
+  ];
+
+  const changes = describeChanges(report);
+  if (changes) {
+    const lines = [`*${escapeMrkdwn(changes.heading)}*`];
+    changes.groups.forEach(group => {
+      lines.push(`_${group.title}_`);
+      group.items.forEach(item => {
+        const tag = item.tag ? `\`${escapeMrkdwn(item.tag)}\` ` : '';
+        lines.push(`• ${tag}<${item.url}|${escapeMrkdwn(item.title)}> · ${escapeMrkdwn(item.note)}`);
+      });
+    });
+    if (changes.groups.length === 0) {
+      lines.push('No changes.');
+    }
+
+    blocks.push({ type: 'divider' });
+    chunkLines(lines).forEach(chunk => blocks.push(mrkdwnSection(chunk)));
+  }
+
+  report.sections.forEach(section => {
+    if (section.prs.length === 0) return;
+
+    const lines = [`*${escapeMrkdwn(section.heading)}*`];
+    splitSection(section).forEach(subsection => {
+      if (subsection.heading) {
+        lines.push(`*» ${escapeMrkdwn(subsection.heading)}*`);
+      }
+      groupPRs(report, subsection.prs).forEach(group => {
+        if (group.repository) {
+          lines.push(`_${escapeMrkdwn(group.repository)}_`);
+        }
+        group.prs.forEach(pr => {
+          const tag = repositoryTag(report, pr);
+          const details = pr.details ? ` (${escapeMrkdwn(pr.details)})` : '';
+          const status = describeStatus(pr, report.generatedAt);
+          const link = `${tag ? `\`${escapeMrkdwn(tag)}\` ` : ''}<${pr.url}|${escapeMrkdwn(pr.title)}>`;
+          lines.push(`• ${withBadge(pr, link)}${details}${status ? ` · ${escapeMrkdwn(status)}` : ''}`);
+        });
+      });
+    });
+
+    blocks.push({ type: 'divider' });
+    chunkLines(lines).forEach(chunk => blocks.push(mrkdwnSection(chunk)));
+  });
+
+  if (report.totalPRs === 0) {
+    blocks.push(mrkdwnSection(escapeMrkdwn(report.emptyMessage)));
+  }
+
+  const stats = describeStats(report);
+  if (stats) {
+    blocks.push({ type: 'divider' });
+    blocks.push(mrkdwnSection(`*${escapeMrkdwn(stats.heading)}*`));
+    stats.tables.forEach(table => {
+      // Long tables are split into several code blocks, leaving room for the fences
+      chunkLines(formatTextTable(table).map(escapeMrkdwn), MAX_SECTION_TEXT - 8)
+        .forEach(chunk => blocks.push(mrkdwnSection(`\`\`\`\n${chunk}\n\`\`\``)));
+    });
+  }
+
+  return blocks;
+}
+
+function renderSlack(report) {
+  return `${JSON.stringify({ blocks: buildBlocks(report) }, null, 2)}\n`;
+}
+
+module.exports = renderSlack;
+module.exports.buildBlocks = buildBlocks;
@@ -0,0 +1,74 @@
+/**
+ * Plain text renderer, for terminals and plain-text chat
+ */
+
+const { replaceShortcodes } = require('./emoji');
+const { describeStatus, withBadge, repositoryTag, splitSection, groupPRs, describeChanges, describeStats, formatTextTable } = require('./format');
+
+function renderText(report) {
+  let text = '';
+
+  text += `${report.title}\n`;
+  text += `${'='.repeat(report.title.length)}\n\n`;
+  text += `Generated on: ${report.generatedAt.split('T')[0]}\n`;
+  if (report.repositories.length > 1) {
+    text += `Repositories: ${report.repositories.length}\n`;
+  }
+  text += `Total PRs: ${report.totalPRs}\n\n`;
+
+  const changes = describeChanges(report);
+  if (changes) {
+    text += `${changes.heading}\n${'-'.repeat(changes.heading.length)}\n`;
+    changes.groups.forEach(group => {
+      text += `\n${group.title}:\n`;
+      group.items.forEach(item => {
+        text += `- ${item.tag ? `[${item.tag}] ` : ''}${item.title} · ${item.note}\n  ${item.url}\n`;
+      });
+    });
+    if (changes.groups.length === 0) {
+      text += `No changes.\n`;
+    }
+    text += `\n`;
+  }
+
+  report.sections.forEach(section => {
+    if (section.prs.length === 0) return;
+
+    const heading = replaceShortcodes(section.heading);
+    text += `${heading}\n${'-'.repeat(heading.length)}\n`;
+    splitSection(section).forEach(subsection => {
+      if (subsection.heading) {
+        text += `\n» ${replaceShortcodes(subsection.heading)}\n`;
+      }
+      groupPRs(report, subsection.prs).forEach(group => {
+        if (group.repository) {
+          text += `\n${group.repository}:\n`;
+        }
+        group.prs.forEach(pr => {
+          const tag = repositoryTag(report, pr);
+          const status = replaceShortcodes(describeStatus(pr, report.generatedAt));
+          text += `- ${withBadge(pr, `${tag ? `[${tag}] ` : ''}${pr.title}`)}${pr.details ? ` (${pr.details})` : ''}${status ? ` · ${status}` : ''}\n  ${pr.url}\n`;
+        });
+      });
+    });
+    text += `\n`;
+  });
+
+  if (report.totalPRs === 0) {
+    text += `${report.emptyMessage}\n`;
+  }
+
+  const stats = describeStats(report);
+  if (stats) {
+    const heading = replaceShortcodes(stats.heading);
+    text += `${heading}\n${'-'.repeat(heading.length)}\n`;
+    stats.tables.forEach(table => {
+      text += `\n${formatTextTable(table).join('\n')}\n`;
+    });
+    text += `\n`;
+  }
+
+  return text;
+}
+
+module.exports = renderText;
@@ -0,0 +1,147 @@
+/**
+ * On-disk cache for GET responses, used for conditional requests
+ *
+ * Each entry stores the response body, its ETag / Last-Modified validators
+ * and the headers needed to replay it (such as Link for pagination). Entries
+ * live in one JSON file per key under the cache directory. Entries that go
+ * unused for longer than maxAge are pruned, at most once per PRUNE_INTERVAL.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Response headers worth keeping alongside a cached body
+const CACHED_HEADERS = ['etag', 'last-modified', 'link'];
+
+// Entries not read or revalidated for this long are deleted
+const DEFAULT_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// How often a long-running process (watch, serve) prunes the directory
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+function getDefaultCacheDir() {
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'pr-generator');
+}
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.dir = options.dir || getDefaultCacheDir();
+    // Entries younger than this are served without revalidating (0 = always revalidate)
+    this.ttl = options.ttl || 0;
+    this.maxAge = Math.max(options.maxAge || DEFAULT_MAX_AGE, this.ttl);
+    this.disabled = false;
+    this.lastPruned = 0;
+  }
+
+  getFilePath(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  /**
+   * Look up a cached entry, returning null when missing or unreadable
+   */
+  get(key) {
+    if (this.disabled) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(this.getFilePath(key), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Delete entries (and leftover temp files) whose file hasn't been written
+   * within maxAge. Revalidated entries are rewritten by touch(), so only
+   * responses nobody asks for anymore are removed.
+   * Returns the number of files deleted.
+   */
+  prune(now = Date.now()) {
+    this.lastPruned = now;
+
+    let names;
+    try {
+      names = fs.readdirSync(this.dir);
+    } catch (error) {
+      return 0;
+    }
+
+    let removed = 0;
+    names.forEach(name => {
+      if (!name.endsWith('.json') && !name.endsWith('.tmp')) return;
+
+      const filePath = path.join(this.dir, name);
+      try {
+        if (now - fs.statSync(filePath).mtimeMs > this.maxAge) {
+          fs.unlinkSync(filePath);
+          removed++;
+        }
+      } catch (error) {
+        // Removed by a concurrent run
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Check whether an entry can be used without revalidating it
+   */
+  isFresh(entry) {
+    return this.ttl > 0 && Date.now() - entry.storedAt < this.ttl;
+  }
+
+  /**
+   * Store a response body with its validators
+   * Only responses with an ETag or Last-Modified header are worth caching
+   */
+  set(key, response) {
+    if (this.disabled) return;
+
+    const headers = {};
+    CACHED_HEADERS.forEach(name => {
+      if (response.headers[name] !== undefined) {
+        headers[name] = response.headers[name];
+      }
+    });
+
+    if (!headers.etag && !headers['last-modified']) return;
+
+    this.write(key, { storedAt: Date.now(), headers, data: response.data });
+  }
+
+  /**
+   * Mark an entry as revalidated so the TTL starts again
+   */
+  touch(key, entry) {
+    if (this.disabled) return;
+    this.write(key, { ...entry, storedAt: Date.now() });
+  }
+
+  /**
+   * Write an entry atomically, disabling the cache if the directory is unusable
+   */
+  write(key, entry) {
+    if (Date.now() - this.lastPruned > PRUNE_INTERVAL) {
+      this.prune();
+    }
+
+    const filePath = this.getFilePath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(entry));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.warn(`⚠️  Response cache disabled, could not write to ${this.dir}: ${error.message}`);
+      this.disabled = true;
+    }
+  }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,242 @@
+/**
+ * Rule matching for PR categorization
+ *
+ * A rule's "when" clause is an object of predicates that must all match the
+ * signals computed for a PR. Predicates can be combined with "all", "any"
+ * and "not".
+ */
+
+const COMBINATORS = ['all', 'any', 'not'];
+
+const COMPARISON_OPERATORS = ['eq', 'gt', 'gte', 'lt', 'lte'];
+
+// The states of the "checks" signal, see lib/checks.js
+const CHECK_STATES = ['success', 'failure', 'pending', 'none'];
+
+/**
+ * Signals that rules can match on, and how each one is compared
+ */
+const SIGNAL_TYPES = {
+  approvals: 'count',
+  requiredApprovals: 'count',
+  missingApprovals: 'count',
+  missingReviewers: 'list',
+  approved: 'flag',
+  staleApprovals: 'list',
+  highPriority: 'flag',
+  priority: 'names',
+  labels: 'names',
+  author: 'names',
+  requestedReviewers: 'list',
+  prolificReRequested: 'list',
+  prolificWithoutApproval: 'list',
+  commentsToFix: 'flag',
+  reviewOwnerApproved: 'flag',
+  checks: 'state',
+  mergeConflicts: 'flag',
+  behindBase: 'flag'
+};
+
+/**
+ * Turn a pattern string into a matcher function
+ * "/regex/flags" is treated as a regular expression, anything else as a
+ * case-insensitive substring
+ */
+function toMatcher(pattern) {
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexMatch) {
+    const regex = new RegExp(regexMatch[1], regexMatch[2]);
+    return value => regex.test(value);
+  }
+
+  const needle = pattern.toLowerCase();
+  return value => value.toLowerCase().includes(needle);
+}
+
+/**
+ * Compare a number against a predicate value
+ * Supports plain numbers and { eq, gt, gte, lt, lte } objects
+ */
+function compareCount(actual, expected) {
+  if (typeof expected === 'boolean') {
+    return (actual > 0) === expected;
+  }
+  if (typeof expected === 'number') {
+    return actual === expected;
+  }
+
+  return Object.entries(expected).every(([operator, value]) => {
+    switch (operator) {
+      case 'eq': return actual === value;
+      case 'gt': return actual > value;
+      case 'gte': return actual >= value;
+      case 'lt': return actual < value;
+      case 'lte': return actual <= value;
+      default: throw new Error(`Unknown comparison operator "${operator}"`);
+    }
+  });
+}
+
+/**
+ * Check a single signal against its predicate value
+ */
+function matchesSignal(type, actual, expected) {
+  switch (type) {
+    case 'flag':
+      return Boolean(actual) === Boolean(expected);
+    case 'count':
+      return compareCount(actual, expected);
+    case 'state':
+      return (Array.isArray(expected) ? expected : [expected]).includes(actual);
+    case 'list':
+      return compareCount(actual.length, expected);
+    case 'names': {
+      const values = Array.isArray(actual) ? actual : [actual];
+      if (typeof expected === 'boolean') {
+        return (values.length > 0) === expected;
+      }
+      const patterns = Array.isArray(expected) ? expected : [expected];
+      return patterns.some(pattern => values.some(toMatcher(pattern)));
+    }
+    default:
+      throw new Error(`Unknown signal type "${type}"`);
+  }
+}
+
+/**
+ * Check whether a PR's signals satisfy a "when" clause
+ * An empty or missing clause always matches
+ */
+function matchesCondition(when, signals) {
+  if (!when) return true;
+
+  return Object.entries(when).every(([key, expected]) => {
+    if (key === 'all') {
+      return expected.every(condition => matchesCondition(condition, signals));
+    }
+    if (key === 'any') {
+      return expected.some(condition => matchesCondition(condition, signals));
+    }
+    if (key === 'not') {
+      return !matchesCondition(expected, signals);
+    }
+
+    return matchesSignal(SIGNAL_TYPES[key], signals[key], expected);
+  });
+}
+
+/**
+ * Describe what a predicate value of a signal type should look like, or
+ * return null if the value is valid
+ */
+function checkPredicate(type, expected) {
+  const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  switch (type) {
+    case 'flag':
+      return typeof expected === 'boolean' ? null : 'must be true or false';
+    case 'count':
+    case 'list': {
+      if (typeof expected === 'boolean' || typeof expected === 'number') return null;
+      const usage = `must be a number, true/false or an object of ${COMPARISON_OPERATORS.join(', ')}`;
+      if (!isPlainObject(expected) || Object.keys(expected).length === 0) return usage;
+      const problem = Object.entries(expected).find(([operator, value]) =>
+        !COMPARISON_OPERATORS.includes(operator) || typeof value !== 'number'
+      );
+      if (!problem) return null;
+      return COMPARISON_OPERATORS.includes(problem[0]) ?
+        `"${problem[0]}" must be a number` :
+        `has unknown comparison operator "${problem[0]}" (use ${COMPARISON_OPERATORS.join(', ')})`;
+    }
+    case 'state': {
+      const states = Array.isArray(expected) ? expected : [expected];
+      return states.length > 0 && states.every(state => CHECK_STATES.includes(state)) ?
+        null :
+        `must be one of ${CHECK_STATES.join(', ')}, or an array of them`;
+    }
+    case 'names': {
+      if (typeof expected === 'boolean') return null;
+      const patterns = Array.isArray(expected) ? expected : [expected];
+      if (patterns.length === 0 || !patterns.every(pattern => typeof pattern === 'string')) {
+        return 'must be a pattern, an array of patterns or true/false';
+      }
+      try {
+        patterns.forEach(toMatcher);
+      } catch (error) {
+        return `has an invalid pattern: ${error.message}`;
+      }
+      return null;
+    }
+    default:
+      return `has unknown signal type "${type}"`;
+  }
+}
+
+/**
+ * Validate a "when" clause, throwing on unknown signals and invalid predicate
+ * values. Errors name the rule and the path to the predicate, e.g.
+ * "rule #2 when.any[0].approvals"
+ */
+function validateCondition(when, location, path = 'when') {
+  if (!when) return;
+  if (typeof when !== 'object' || Array.isArray(when)) {
+    throw new Error(`${location} ${path} must be an object of predicates`);
+  }
+
+  Object.entries(when).forEach(([key, expected]) => {
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(expected)) {
+        throw new Error(`"${key}" in ${location} ${path} must be an array`);
+      }
+      expected.forEach((condition, index) => validateCondition(condition, location, `${path}.${key}[${index}]`));
+    } else if (key === 'not') {
+      validateCondition(expected, location, `${path}.not`);
+    } else if (!SIGNAL_TYPES[key]) {
+      const known = Object.keys(SIGNAL_TYPES).concat(COMBINATORS).join(', ');
+      throw new Error(`Unknown signal "${key}" in ${location}. Known signals: ${known}`);
+    } else {
+      const problem = checkPredicate(SIGNAL_TYPES[key], expected);
+      if (problem) {
+        throw new Error(`${location} ${path}.${key} ${problem}, got ${JSON.stringify(expected)}`);
+      }
+    }
+  });
+}
+
+/**
+ * Validate categories and rules from a config, throwing on the first problem
+ */
+function validateRules(categories, rules) {
+  if (!Array.isArray(categories) || categories.length === 0) {
+    throw new Error('Config "categories" must be a non-empty array');
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error('Config "rules" must be an array');
+  }
+
+  const categoryIds = new Set();
+  categories.forEach((category, index) => {
+    if (!category.id) {
+      throw new Error(`Category #${index + 1} is missing an "id"`);
+    }
+    if (categoryIds.has(category.id)) {
+      throw new Error(`Duplicate category id "${category.id}"`);
+    }
+    categoryIds.add(category.id);
+  });
+
+  rules.forEach((rule, index) => {
+    const location = `rule #${index + 1}`;
+    if (!categoryIds.has(rule.category)) {
+      throw new Error(`Unknown category "${rule.category}" in ${location}`);
+    }
+    validateCondition(rule.when, location);
+  });
+}
+
+module.exports = {
+  SIGNAL_TYPES,
+  matchesCondition,
+  validateRules,
+  toMatcher
+};
@@ -0,0 +1,47 @@
+/**
+ * Helpers for review throughput stats (--stats)
+ *
+ * Durations are summarized in hours, rounded to one decimal place.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+function roundHours(ms) {
+  return Math.round((ms / HOUR) * 10) / 10;
+}
+
+/**
+ * Summarize a list of durations in milliseconds
+ * Returns { count, medianHours, averageHours }, with null hours when empty
+ */
+function summarizeDurations(durations) {
+  if (durations.length === 0) {
+    return { count: 0, medianHours: null, averageHours: null };
+  }
+
+  const sorted = [...durations].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const average = sorted.reduce((total, duration) => total + duration, 0) / sorted.length;
+
+  return {
+    count: sorted.length,
+    medianHours: roundHours(median),
+    averageHours: roundHours(average)
+  };
+}
+
+/**
+ * Format hours for display: "45m", "5.2h", or "3.1d" from two days up
+ */
+function formatHours(hours) {
+  if (hours === null) return '–';
+  if (hours < 1) return `${Math.round(hours * 60)}m`;
+  if (hours < 48) return `${hours}h`;
+  return `${Math.round((hours / 24) * 10) / 10}d`;
+}
+
+module.exports = {
+  summarizeDurations,
+  formatHours
+};
@@ -0,0 +1,253 @@
+/**
+ * Report templates (--template)
+ *
+ * Templates use a small subset of Mustache, without HTML escaping:
+ *
+ *   {{name}}  {{a.b}}  {{.}}     values; lists are joined with ", "
+ *   {{#name}}...{{/name}}        a section, repeated for each item of a list,
+ *                                rendered once for any other truthy value
+ *   {{^name}}...{{/name}}        an inverted section, rendered for falsy
+ *                                values and empty lists
+ *   {{> name}}                   another partial
+ *   {{! comment}}
+ *
+ * A template file is made of partials, each defined with {{$name}}...{{/name}}.
+ * Partials a file leaves out come from the default template. As in Mustache,
+ * a line holding nothing but a section, partial or comment tag is left out of
+ * the output entirely.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATE_PATH = path.join(__dirname, '..', 'templates', 'default.md');
+
+const TAG = /\{\{\s*([#^/!>$]?)\s*([\s\S]*?)\s*\}\}/g;
+
+// Tags that don't produce output of their own, so they can stand alone on a line
+const STANDALONE_KINDS = new Set(['#', '^', '/', '!', '>', '$']);
+
+/**
+ * Split a template into alternating text and tag tokens, starting and ending
+ * with text
+ */
+function tokenize(source) {
+  const tokens = [];
+  let last = 0;
+  let match;
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source)) !== null) {
+    tokens.push({ text: source.slice(last, match.index) });
+    tokens.push({
+      kind: match[1],
+      name: match[2],
+      line: source.slice(0, match.index).split('\n').length
+    });
+    last = TAG.lastIndex;
+  }
+  tokens.push({ text: source.slice(last) });
+  return tokens;
+}
+
+/**
+ * Drop the whitespace and line break around tags that stand alone on a line
+ */
+function stripStandaloneLines(tokens) {
+  for (let i = 1; i < tokens.length; i += 2) {
+    if (!STANDALONE_KINDS.has(tokens[i].kind)) continue;
+
+    const before = tokens[i - 1];
+    const after = tokens[i + 1];
+    const lineStart = before.text.lastIndexOf('\n') + 1;
+    const lineEnd = after.text.indexOf('\n');
+
+    const startsLine = lineStart > 0 || i === 1 || before.startsLine;
+    const endsLine = lineEnd >= 0 || i === tokens.length - 2;
+    const lineEndIndex = lineEnd >= 0 ? lineEnd + 1 : after.text.length;
+    if (!startsLine || !endsLine ||
+        before.text.slice(lineStart).trim() !== '' ||
+        after.text.slice(0, lineEndIndex).trim() !== '') {
+      continue;
+    }
+
+    before.text = before.text.slice(0, lineStart);
+    after.text = after.text.slice(lineEndIndex);
+    after.startsLine = true;
+  }
+  return tokens;
+}
+
+/**
+ * Parse a template file's source into its partials: { name: nodes }
+ */
+function parseTemplate(source, name = 'template') {
+  const fail = (message, token) => {
+    throw new Error(`Template "${name}"${token ? ` line ${token.line}` : ''}: ${message}`);
+  };
+
+  const partials = {};
+  const root = { children: [] };
+  const stack = [root];
+
+  stripStandaloneLines(tokenize(source)).forEach(token => {
+    const parent = stack[stack.length - 1];
+
+    if (token.text !== undefined) {
+      if (stack.length === 1 && token.text.trim() !== '') {
+        fail(`"${token.text.trim().split('\n')[0]}" is outside a {{$partial}}...{{/partial}} block`);
+      }
+      if (token.text) {
+        parent.children.push({ type: 'text', text: token.text });
+      }
+      return;
+    }
+
+    if (!token.name && token.kind !== '!') {
+      fail('empty tag', token);
+    }
+
+    switch (token.kind) {
+      case '!':
+        break;
+      case '$':
+        if (stack.length > 1) {
+          fail(`{{$${token.name}}} must be at the top level, not inside {{${parent.open}}}`, token);
+        }
+        stack.push({ type: 'partial', name: token.name, open: `$${token.name}`, children: [] });
+        break;
+      case '#':
+      case '^':
+        if (stack.length === 1) {
+          fail(`{{${token.kind}${token.name}}} is outside a {{$partial}}...{{/partial}} block`, token);
+        }
+        stack.push({ type: 'section', name: token.name, inverted: token.kind === '^', open: `${token.kind}${token.name}`, children: [] });
+        break;
+      case '/': {
+        const open = stack.pop();
+        if (open === root || open.name !== token.name) {
+          fail(`{{/${token.name}}} doesn't close ${open === root ? 'anything' : `{{${open.open}}}`}`, token);
+        }
+        delete open.open;
+        if (open.type === 'partial') {
+          partials[open.name] = open.children;
+        } else {
+          stack[stack.length - 1].children.push(open);
+        }
+        break;
+      }
+      default:
+        if (stack.length === 1) {
+          fail(`{{${token.kind}${token.name}}} is outside a {{$partial}}...{{/partial}} block`, token);
+        }
+        parent.children.push({ type: token.kind === '>' ? 'include' : 'value', name: token.name });
+    }
+  });
+
+  if (stack.length > 1) {
+    fail(`{{${stack[stack.length - 1].open}}} is never closed`);
+  }
+
+  return partials;
+}
+
+/**
+ * Check that every {{> name}} refers to a partial
+ */
+function checkIncludes(partials, name) {
+  const visit = nodes => nodes.forEach(node => {
+    if (node.type === 'include' && !partials[node.name]) {
+      throw new Error(`Template "${name}": {{> ${node.name}}} refers to a partial that isn't defined`);
+    }
+    if (node.children) {
+      visit(node.children);
+    }
+  });
+  Object.values(partials).forEach(visit);
+}
+
+/**
+ * Look a name up in the context stack, innermost first
+ */
+function lookup(name, stack) {
+  const top = stack[stack.length - 1];
+  if (name === '.') return top;
+
+  const [first, ...rest] = name.split('.');
+  const owner = stack.slice().reverse().find(context =>
+    context !== null && typeof context === 'object' && first in context
+  );
+  let value = owner ? owner[first] : undefined;
+  rest.forEach(part => {
+    value = value === null || value === undefined ? undefined : value[part];
+  });
+  return value;
+}
+
+function stringify(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(stringify).join(', ');
+  return String(value);
+}
+
+function renderNodes(nodes, stack, partials) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.text;
+    if (node.type === 'value') return stringify(lookup(node.name, stack));
+    if (node.type === 'include') return renderNodes(partials[node.name], stack, partials);
+
+    const value = lookup(node.name, stack);
+    const empty = !value || (Array.isArray(value) && value.length === 0);
+    if (node.inverted) {
+      return empty ? renderNodes(node.children, stack, partials) : '';
+    }
+    if (empty) return '';
+
+    const items = Array.isArray(value) ? value : [value];
+    return items.map(item => renderNodes(node.children, stack.concat([item]), partials)).join('');
+  }).join('');
+}
+
+let defaultTemplate = null;
+
+/**
+ * Load the default template that ships with the generator
+ */
+function getDefaultTemplate() {
+  if (!defaultTemplate) {
+    defaultTemplate = parseTemplate(fs.readFileSync(DEFAULT_TEMPLATE_PATH, 'utf8'), DEFAULT_TEMPLATE_PATH);
+  }
+  return defaultTemplate;
+}
+
+/**
+ * Load a --template file, filling in the partials it leaves out from the
+ * default template
+ */
+function loadTemplate(templatePath) {
+  let source;
+  try {
+    source = fs.readFileSync(templatePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read template "${templatePath}": ${error.message}`);
+  }
+
+  const partials = { ...getDefaultTemplate(), ...parseTemplate(source, templatePath) };
+  checkIncludes(partials, templatePath);
+  return partials;
+}
+
+/**
+ * Render one of a template's partials against a list of contexts, outermost
+ * first: names missing from the innermost context are looked up in the outer ones
+ */
+function renderPartial(template, name, contexts) {
+  return renderNodes(template[name] || [], contexts, template);
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE_PATH,
+  parseTemplate,
+  loadTemplate,
+  getDefaultTemplate,
+  renderPartial
+};
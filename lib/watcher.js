@@ -0,0 +1,217 @@
+/**
+ * Watch mode (--watch): keep the report up to date from a long-running process
+ *
+ * Every repository is refetched on an interval, and with --serve a webhook
+ * endpoint refetches just the PR a GitHub event is about. The output is only
+ * rewritten (and recorded and posted) when the report actually changed.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { createWebhookHandler } = require('./webhooks');
+
+const DEFAULT_PORT = 3000;
+
+/**
+ * Hash the parts of the reports that matter for deciding whether to rewrite:
+ * everything but the generation time and the changes since the last snapshot
+ */
+function getFingerprint(reports) {
+  const content = reports.map(({ generatedAt, changes, ...report }) => report);
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+const respond = (res, status, message) => {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(`${message}\n`);
+};
+
+const repositoryKey = ({ owner, repo, provider = 'github' }) => `${provider}:${owner}/${repo}`.toLowerCase();
+
+class ReportWatcher {
+  constructor(generator, options = {}) {
+    this.generator = generator;
+    this.repoInputs = options.repoInputs || [];
+    this.outputFile = options.outputFile || null;
+    this.interval = options.interval;
+    this.port = options.serve ? options.port || DEFAULT_PORT : null;
+    // GitHub has to reach the webhook server, so it listens on every interface by default
+    this.host = options.host || null;
+    this.secret = options.secret || null;
+    this.repositories = [];
+    this.repoData = [];
+    this.fingerprint = null;
+    this.queue = Promise.resolve();
+    this.timer = null;
+    this.server = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Generate the first report, then keep refreshing until stopped
+   */
+  async start() {
+    await this.enqueue(() => this.refresh());
+    if (this.repoData.length === 0) {
+      throw new Error('No repositories were successfully processed');
+    }
+
+    if (this.port !== null) {
+      await this.listen();
+    }
+    this.scheduleRefresh();
+  }
+
+  /**
+   * Stop refreshing and close the webhook server
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    if (this.server) {
+      this.server.close();
+    }
+  }
+
+  /**
+   * Run a task once the previous ones are done, so that a webhook refresh
+   * never races a full refresh. Errors are reported without stopping the watch
+   */
+  enqueue(task) {
+    this.queue = this.queue
+      .then(task)
+      .catch(error => console.error(`❌ Error: ${error.message}`));
+    return this.queue;
+  }
+
+  scheduleRefresh() {
+    if (this.stopped) return;
+
+    this.timer = setTimeout(async () => {
+      await this.enqueue(() => this.refresh());
+      this.scheduleRefresh();
+    }, this.interval);
+  }
+
+  /**
+   * Refetch every repository (rediscovering --org and --query ones)
+   * Repositories that fail keep the PRs from their last successful fetch
+   */
+  async refresh() {
+    console.log(`🔄 Refreshing all repositories (${new Date().toLocaleTimeString()})`);
+    this.generator.clearCaches();
+    this.repositories = await this.generator.resolveRepositories(this.repoInputs);
+
+    const fetched = await this.generator.fetchRepositories(this.repositories);
+    const known = new Map(this.repoData.concat(fetched).map(data => [repositoryKey(data), data]));
+    this.repoData = this.repositories
+      .map(repository => known.get(repositoryKey(repository)))
+      .filter(Boolean);
+
+    await this.update();
+  }
+
+  /**
+   * Refetch a single PR, dropping it from the report when it is no longer
+   * open and ready for review
+   */
+  async refreshPullRequest(target) {
+    const data = this.repoData.find(candidate => repositoryKey(candidate) === repositoryKey(target));
+    if (!data) return;
+
+    const { number } = target;
+    console.log(`🔔 Refreshing ${data.owner}/${data.repo}#${number}`);
+    const [pr] = await this.generator.fetchPullRequests(data.owner, data.repo, [number], { api: 'rest' });
+
+    const index = data.prs.findIndex(candidate => candidate.number === number);
+    if (pr && index >= 0) {
+      data.prs[index] = pr;
+    } else if (pr) {
+      data.prs.push(pr);
+    } else if (index >= 0) {
+      data.prs.splice(index, 1);
+    }
+
+    await this.update();
+  }
+
+  /**
+   * Queue a webhook refresh if the PR belongs in the report
+   * Webhooks come from GitHub, so only GitHub repositories are matched
+   */
+  onPullRequest(target) {
+    const repository = this.repositories.find(candidate => repositoryKey(candidate) === repositoryKey(target));
+    // Search results only cover the PRs the query matched
+    if (!repository || (repository.numbers && !repository.numbers.includes(target.number))) {
+      return false;
+    }
+
+    this.enqueue(() => this.refreshPullRequest(target));
+    return true;
+  }
+
+  /**
+   * Rebuild the reports and write them if anything changed
+   */
+  async update() {
+    const reports = this.generator.buildReports(this.repoData);
+    const fingerprint = getFingerprint(reports);
+    if (fingerprint === this.fingerprint) {
+      console.log('💤 No changes, output left as is');
+      return;
+    }
+
+    this.fingerprint = fingerprint;
+    await this.generator.writeReports(this.repoData, reports, this.outputFile);
+  }
+
+  /**
+   * Route a request to the webhook server
+   */
+  async handle(req, res, handleWebhook) {
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch (error) {
+      respond(res, 400, 'Bad request');
+      return;
+    }
+
+    if (pathname === '/webhook') {
+      await handleWebhook(req, res);
+      return;
+    }
+    respond(res, 404, 'Not found');
+  }
+
+  /**
+   * Start the webhook server: GitHub deliveries go to POST /webhook
+   * A request that fails is answered with 500 and never stops the watch
+   */
+  listen() {
+    const handleWebhook = createWebhookHandler(this.secret, target => this.onPullRequest(target));
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res, handleWebhook).catch(error => {
+        console.error(`❌ Webhook request failed: ${error.message}`);
+        if (res.headersSent) {
+          res.end();
+        } else {
+          respond(res, 500, 'Internal error');
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      const address = this.host ? (this.host.includes(':') ? `[${this.host}]` : this.host) : 'localhost';
+      this.server.listen(this.port, this.host || undefined, () => {
+        console.log(`👂 Listening for GitHub webhooks on http://${address}:${this.port}/webhook`);
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = ReportWatcher;
+module.exports.DEFAULT_PORT = DEFAULT_PORT;
@@ -0,0 +1,137 @@
+/**
+ * GitHub webhook handling for --watch --serve
+ *
+ * Deliveries are verified against the webhook secret (X-Hub-Signature-256)
+ * and reduced to the PR they affect, so that only that PR is refetched.
+ */
+
+const crypto = require('crypto');
+
+// Events that carry the PR in payload.pull_request
+const PULL_REQUEST_EVENTS = [
+  'pull_request',
+  'pull_request_review',
+  'pull_request_review_comment',
+  'pull_request_review_thread'
+];
+
+// GitHub caps payloads at 25 MB
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Check a delivery's X-Hub-Signature-256 header against the raw body
+ */
+function verifySignature(secret, body, signature) {
+  if (!signature || !signature.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`);
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Get the PR a delivery is about: { owner, repo, number }, or null for events
+ * that don't affect a PR (including comments on issues)
+ */
+function getAffectedPullRequest(event, payload) {
+  if (!payload.repository) {
+    return null;
+  }
+  const [owner, repo] = payload.repository.full_name.split('/');
+
+  if (PULL_REQUEST_EVENTS.includes(event) && payload.pull_request) {
+    return { owner, repo, number: payload.pull_request.number };
+  }
+  if (event === 'issue_comment' && payload.issue && payload.issue.pull_request) {
+    return { owner, repo, number: payload.issue.number };
+  }
+  return null;
+}
+
+/**
+ * Read a request's body into a Buffer
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Payload too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create a request handler for webhook deliveries
+ * onPullRequest({ owner, repo, number }, event) is called for each verified
+ * delivery that affects a PR, and returns whether the PR is being refreshed
+ */
+function createWebhookHandler(secret, onPullRequest) {
+  const respond = (res, status, message) => {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(`${message}\n`);
+  };
+
+  return async (req, res) => {
+    if (req.method !== 'POST') {
+      respond(res, 405, 'Webhook deliveries must be POSTed');
+      return;
+    }
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      respond(res, 413, error.message);
+      return;
+    }
+
+    if (!verifySignature(secret, body, req.headers['x-hub-signature-256'])) {
+      respond(res, 401, 'Invalid or missing X-Hub-Signature-256');
+      return;
+    }
+
+    const event = req.headers['x-github-event'];
+    if (event === 'ping') {
+      respond(res, 200, 'pong');
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      respond(res, 400, `Invalid JSON payload: ${error.message}`);
+      return;
+    }
+
+    const target = getAffectedPullRequest(event, payload);
+    if (!target) {
+      respond(res, 202, `Ignored ${event || 'unknown'} event: no pull request affected`);
+      return;
+    }
+
+    const { owner, repo, number } = target;
+    if (onPullRequest(target, event)) {
+      respond(res, 202, `Refreshing ${owner}/${repo}#${number}`);
+    } else {
+      respond(res, 202, `Ignored ${owner}/${repo}#${number}: not part of the report`);
+    }
+  };
+}
+
+module.exports = {
+  verifySignature,
+  getAffectedPullRequest,
+  createWebhookHandler
+};
@@ -1,126 +1,617 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
 const fs = require('fs');
+const path = require('path');
+const HttpClient = require('./lib/http-client');
+const GitHubGraphQLSource = require('./lib/github-graphql');
+const ResponseCache = require('./lib/response-cache');
+const ReportHistory = require('./lib/history');
+const FixtureStore = require('./lib/fixtures');
+const ReportWatcher = require('./lib/watcher');
+const Dashboard = require('./lib/dashboard');
+const { parseDuration, parseSLADuration, exceedsSLA } = require('./lib/duration');
+const { summarizeChecks, hasMergeConflicts } = require('./lib/checks');
+const { summarizeDurations } = require('./lib/stats');
+const { getConfiguredPolicy, applyBranchProtection } = require('./lib/approval-policy');
+const { CODEOWNERS_PATHS, parseCodeOwners, getRequiredOwnerSets } = require('./lib/codeowners');
+const renderers = require('./lib/renderers');
+const { loadTemplate } = require('./lib/template');
+const notifiers = require('./lib/notifiers');
+const { SORT_KEYS, loadConfig, resolveConfig } = require('./lib/config');
+const { matchesCondition, toMatcher } = require('./lib/rules');
+const discovery = require('./lib/discovery');
+const { DEFAULT_API_URL, normalizeAPIURL, getWebHost, getGraphQLURL, splitHost, parseRepositoryInput } = require('./lib/hosts');
+const providers = require('./lib/providers');
 
 class PRMarkdownGenerator {
-  constructor() {
+  constructor(options = {}) {
     this.githubToken = process.env.GITHUB_TOKEN;
-    this.baseURL = 'https://api.github.com';
+    this.baseURL = (options.baseURL || DEFAULT_API_URL).replace(/\/+$/, '');
+    this.webHost = getWebHost(this.baseURL);
+    this.defaultOwner = options.defaultOwner || null;
+    this.api = options.api || 'rest';
+    this.format = options.format || 'markdown';
+    this.template = options.template || null;
+    this.postTargets = options.postTargets || [];
+    this.forLogin = options.forLogin || null;
+    this.forEachReviewer = options.forEachReviewer || false;
+    this.config = options.config || resolveConfig();
+    this.priorityMatchers = this.config.priorityLabels.map(toMatcher);
+    this.priorityTiers = this.config.priorityTiers.map(tier => ({
+      tier,
+      labelMatchers: (tier.labels || []).map(toMatcher),
+      milestoneMatchers: (tier.milestones || []).map(toMatcher)
+    }));
+    const bots = this.config.bots || {};
+    this.botFilter = {
+      allow: new Set((bots.allow || []).map(login => login.toLowerCase())),
+      deny: new Set((bots.deny || []).map(login => login.toLowerCase())),
+      patterns: (bots.patterns || []).map(toMatcher)
+    };
+    this.excludeAuthorMatchers = (this.config.excludeAuthors || []).map(toMatcher);
+    this.teamMembersCache = new Map();
+    this.approvalPolicyCache = new Map();
+    this.codeOwnersCache = new Map();
+    this.now = options.now || null;
+    this.sortKey = options.sort || this.config.sort;
+    this.orgs = options.orgs || [];
+    this.topics = options.topics || [];
+    this.exclude = options.exclude || [];
+    this.query = options.query || null;
+    this.groupBy = options.groupBy || null;
+    this.includeStats = options.stats || false;
+    this.history = options.history ? new ReportHistory(options.history) : null;
+    this.since = options.history ? options.history.since || null : null;
+    this.recordFixtures = options.record ? new FixtureStore({ dir: options.record }) : null;
+    this.replayFixtures = options.replay ? new FixtureStore({ dir: options.replay }) : null;
+
+    const sla = this.config.sla || {};
+    this.sla = {
+      firstReview: sla.firstReview ? parseSLADuration(sla.firstReview) : null,
+      inactivity: sla.inactivity ? parseSLADuration(sla.inactivity) : null,
+      section: Boolean(sla.section)
+    };
+
+    const headers = {
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'PR-Markdown-Generator'
+    };
+
+    if (this.githubToken) {
+      headers['Authorization'] = `token ${this.githubToken}`;
+    }
+
+    this.client = new HttpClient({
+      baseURL: this.baseURL,
+      headers,
+      concurrency: options.concurrency,
+      maxRetries: options.maxRetries,
+      cache: options.cache ? new ResponseCache(options.cache) : null
+    });
+
+    this.graphqlSource = new GitHubGraphQLSource(this.client, options.graphqlURL || getGraphQLURL(this.baseURL));
+
+    // Other providers (GitLab) are created when a repository needs them
+    this.providers = new Map();
+    this.providerOptions = {
+      concurrency: options.concurrency,
+      maxRetries: options.maxRetries,
+      cache: this.client.cache
+    };
+  }
+
+  /**
+   * Get a provider other than GitHub by name (see lib/providers)
+   */
+  getProvider(name) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, providers.createProvider(name, this.providerOptions));
+    }
+    return this.providers.get(name);
   }
 
   /**
-   * Parse repository string to extract owner and repo name
-   * Supports formats: "owner/repo", "https://github.com/owner/repo", etc.
+   * Parse repository string to extract owner and repo name, the PR number for
+   * PR URLs (otherwise null) and the provider hosting it
+   * Supports formats: "owner/repo", "https://github.com/owner/repo", PR URLs,
+   * SSH remotes, URLs on the configured GitHub Enterprise host and, with a
+   * default owner, bare repository names (see lib/hosts). Repositories on
+   * other providers take a prefix ("gitlab:group/project") or a URL on their host
    */
   parseRepository(repoInput) {
-    let owner, repo;
+    let { provider, input } = providers.splitProvider(repoInput.trim());
 
-    if (repoInput.includes('github.com')) {
-      const match = repoInput.match(/github\.com\/([^\/]+)\/([^\/\?#]+)/);
-      if (match) {
-        [, owner, repo] = match;
+    if (!provider) {
+      const { host } = splitHost(input);
+      provider = (host && providers.PROVIDER_NAMES.find(name =>
+        this.getProvider(name).webHost === host.toLowerCase()
+      )) || providers.DEFAULT_PROVIDER;
+    }
+
+    if (provider !== providers.DEFAULT_PROVIDER) {
+      return { ...this.getProvider(provider).parseRepository(input), provider };
+    }
+    return {
+      ...parseRepositoryInput(input, { hosts: [this.webHost], defaultOwner: this.defaultOwner }),
+      provider
+    };
+  }
+
+  /**
+   * Find the repositories to report on from --org and --query
+   * Returns [{ owner, repo, numbers }], where numbers is null for "every open PR"
+   */
+  async discoverRepositories() {
+    const targets = [];
+
+    for (const org of this.orgs) {
+      try {
+        console.log(`🏢 Listing repositories in ${org}...`);
+        const repos = await discovery.listOrganizationRepositories(this.client, org, {
+          topics: this.topics,
+          exclude: this.exclude
+        });
+        console.log(`✓ Found ${repos.length} repositories\n`);
+        targets.push(...repos);
+      } catch (error) {
+        console.error(`❌ Error listing repositories in ${org}: ${error.message}`);
       }
-    } else if (repoInput.includes('/')) {
-      [owner, repo] = repoInput.split('/');
-    } else {
-      throw new Error('Invalid repository format. Use "owner/repo" or GitHub URL');
     }
 
-    // Clean up repo name (remove .git suffix if present)
-    repo = repo.replace(/\.git$/, '');
+    if (this.query) {
+      try {
+        console.log(`🔎 Searching for PRs: ${this.query}`);
+        const results = await discovery.searchPullRequests(this.client, this.query, { exclude: this.exclude });
+        const prCount = results.reduce((total, result) => total + result.numbers.length, 0);
+        console.log(`✓ Found ${prCount} PRs in ${results.length} repositories\n`);
+        targets.push(...results);
+      } catch (error) {
+        console.error(`❌ Error searching for PRs: ${error.message}`);
+      }
+    }
 
-    return { owner, repo };
+    return targets;
   }
 
   /**
    * Fetch all pull requests from the repository with detailed review information
+   * Uses the REST or GraphQL API depending on the "api" option
+   * Pass PR numbers to only fetch those PRs (e.g. search results), an api to
+   * override the option (refreshing one PR is cheaper through REST) and the
+   * provider for repositories outside GitHub
    */
-  async fetchPullRequests(owner, repo) {
+  async fetchPullRequests(owner, repo, numbers = null, { api = this.api, provider = providers.DEFAULT_PROVIDER } = {}) {
+    if (this.replayFixtures) {
+      return this.loadFixture(owner, repo, numbers, provider);
+    }
+    if (provider !== providers.DEFAULT_PROVIDER) {
+      return this.fetchProviderPullRequests(provider, owner, repo, numbers);
+    }
+
+    if (api === 'graphql' && !this.githubToken) {
+      throw new Error('The GraphQL API requires a token. Set the GITHUB_TOKEN environment variable');
+    }
+
     try {
-      const headers = {
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'PR-Markdown-Generator'
-      };
+      let prs;
+      if (api === 'graphql') {
+        // GraphQL fetches the whole repository in a few bulk queries anyway
+        prs = (await this.fetchPullRequestsGraphQL(owner, repo))
+          .filter(pr => !this.isExcludedAuthor(pr));
+        if (numbers) {
+          prs = prs.filter(pr => numbers.includes(pr.number));
+        }
+      } else {
+        prs = await this.fetchPullRequestsREST(owner, repo, numbers);
+      }
 
-      if (this.githubToken) {
-        headers['Authorization'] = `token ${this.githubToken}`;
+      await this.resolveTeamRequests(owner, prs);
+      await this.resolveApprovalPolicies(owner, repo, prs);
+      this.recordFixture(owner, repo, prs);
+      return prs;
+    } catch (error) {
+      const status = error.response?.status;
+      const notFound = status === 404 ||
+        (error.graphqlErrors || []).some(graphqlError => graphqlError.type === 'NOT_FOUND');
+
+      if (notFound) {
+        throw new Error(`Repository "${owner}/${repo}" not found or not accessible`);
+      } else if (status === 403 && error.response.headers['x-ratelimit-remaining'] === '0') {
+        const resetAt = new Date(Number(error.response.headers['x-ratelimit-reset']) * 1000).toLocaleTimeString();
+        throw new Error(`Rate limit exceeded (resets at ${resetAt}). Consider setting GITHUB_TOKEN environment variable`);
+      } else if (status === 403) {
+        throw new Error('Rate limited or insufficient permissions. Consider setting GITHUB_TOKEN environment variable');
+      } else if (status === 401) {
+        throw new Error('GitHub rejected the token. Check the GITHUB_TOKEN environment variable');
+      } else {
+        throw new Error(`Failed to fetch PRs: ${error.message}`);
       }
+    }
+  }
 
-      let allPRs = [];
-      let page = 1;
-      let hasMore = true;
+  /**
+   * Fetch PRs (merge requests) from another provider, already normalized into
+   * the GitHub shape
+   */
+  async fetchProviderPullRequests(provider, owner, repo, numbers = null) {
+    const source = this.getProvider(provider);
 
-      while (hasMore) {
-        const response = await axios.get(
-          `${this.baseURL}/repos/${owner}/${repo}/pulls`,
-          {
-            headers,
-            params: {
-              state: 'open',
-              per_page: 100,
-              page: page
-            }
-          }
-        );
+    try {
+      const prs = (await source.fetchPullRequests(owner, repo, numbers, (completed, total) => {
+        this.reportProgress(`${owner}/${repo}`, completed, total);
+      })).filter(pr => !this.isExcludedAuthor(pr));
 
-        const prs = response.data;
-        // Filter out draft PRs - only include PRs ready for review
-        const readyForReviewPRs = prs.filter(pr => !pr.draft);
-        allPRs = allPRs.concat(readyForReviewPRs);
+      this.resolveProviderApprovalPolicies(owner, repo, prs);
+      this.recordFixture(owner, repo, prs, provider);
+      return prs;
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 404) {
+        throw new Error(`Project "${owner}/${repo}" not found on ${source.displayName} or not accessible`);
+      } else if (status === 401 || status === 403) {
+        throw new Error(`${source.displayName} rejected the request. Check the ${source.tokenVariable} environment variable`);
+      } else {
+        throw new Error(`Failed to fetch merge requests: ${error.message}`);
+      }
+    }
+  }
 
-        hasMore = prs.length === 100;
-        page++;
+  /**
+   * Attach approval policies to PRs from another provider
+   * There are no teams or CODEOWNERS lookups: required reviewers are plain
+   * usernames, and "fromBranchProtection" uses the approvals the provider's
+   * own approval rules require
+   */
+  resolveProviderApprovalPolicies(owner, repo, prs) {
+    prs.forEach(pr => {
+      let policy = getConfiguredPolicy(this.config, `${owner}/${repo}`);
+      if (policy.fromBranchProtection && Number.isInteger(pr.approvalsRequired)) {
+        policy = { ...policy, requiredApprovals: pr.approvalsRequired };
       }
 
-      // Fetch detailed review and comment information for each PR
-      for (let pr of allPRs) {
-        try {
-          // Fetch reviews
-          const reviewsResponse = await axios.get(
-            `${this.baseURL}/repos/${owner}/${repo}/pulls/${pr.number}/reviews`,
-            { headers }
-          );
-          pr.reviews = reviewsResponse.data;
-
-          // Fetch review comments
-          const reviewCommentsResponse = await axios.get(
-            `${this.baseURL}/repos/${owner}/${repo}/pulls/${pr.number}/comments`,
-            { headers }
-          );
-          pr.reviewComments = reviewCommentsResponse.data;
-
-          // Fetch issue comments
-          const issueCommentsResponse = await axios.get(
-            `${this.baseURL}/repos/${owner}/${repo}/issues/${pr.number}/comments`,
-            { headers }
-          );
-          pr.issueComments = issueCommentsResponse.data;
+      pr.approvalPolicy = policy;
+      pr.requiredReviewers = (policy.requiredReviewers || []).map(login => ({ name: login, logins: [login] }));
+    });
+  }
+
+  /**
+   * Load a repository's PRs from a --replay fixture instead of the API
+   */
+  loadFixture(owner, repo, numbers = null, provider = providers.DEFAULT_PROVIDER) {
+    const { prs } = this.replayFixtures.load(owner, repo, provider);
+    return prs.filter(pr => !this.isExcludedAuthor(pr) && (!numbers || numbers.includes(pr.number)));
+  }
 
+  /**
+   * Save fetched PRs as a --record fixture
+   * Failing to save is only a warning so the report itself is never lost
+   */
+  recordFixture(owner, repo, prs, provider = providers.DEFAULT_PROVIDER) {
+    if (!this.recordFixtures) return;
+
+    try {
+      const file = this.recordFixtures.save(owner, repo, prs, this.getNow().toISOString(), provider);
+      console.log(`📼 Recorded ${prs.length} PRs to ${file}`);
+    } catch (error) {
+      console.warn(`⚠️  Could not record fixture for ${owner}/${repo}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch PRs through the GraphQL API in paginated bulk queries
+   */
+  async fetchPullRequestsGraphQL(owner, repo) {
+    return this.graphqlSource.fetchPullRequests(owner, repo, (completed, total) => {
+      this.reportProgress(`${owner}/${repo}`, completed, total);
+    });
+  }
+
+  /**
+   * Fetch PRs through the REST API, with one set of detail requests per PR
+   * PRs requested by number that no longer exist are skipped with a warning
+   */
+  async fetchPullRequestsREST(owner, repo, numbers = null) {
+    const prs = numbers ?
+      (await Promise.all(numbers.map(number => this.fetchPullRequestByNumber(owner, repo, number))))
+        .filter(pr => pr && pr.state === 'open') :
+      await this.client.paginate(`/repos/${owner}/${repo}/pulls`, { state: 'open' });
+    // Filter out draft PRs - only include PRs ready for review - and excluded authors
+    const allPRs = prs.filter(pr => !pr.draft && !this.isExcludedAuthor(pr));
+
+    // Fetch detailed review and comment information for each PR
+    // Requests run concurrently, bounded by the client's pool, alongside the
+    // GraphQL status query
+    const statuses = this.fetchPullRequestStatuses(owner, repo, allPRs, numbers);
+    let completed = 0;
+    await Promise.all(allPRs.map(async pr => {
+      try {
+        const [reviews, reviewComments, issueComments] = await Promise.all([
+          this.client.paginate(`/repos/${owner}/${repo}/pulls/${pr.number}/reviews`),
+          this.client.paginate(`/repos/${owner}/${repo}/pulls/${pr.number}/comments`),
+          this.client.paginate(`/repos/${owner}/${repo}/issues/${pr.number}/comments`)
+        ]);
+        pr.reviews = reviews;
+        pr.reviewComments = reviewComments;
+        pr.issueComments = issueComments;
+      } catch (error) {
+        console.warn(`Failed to fetch detailed info for PR #${pr.number}: ${error.message}`);
+        pr.reviews = [];
+        pr.reviewComments = [];
+        pr.issueComments = [];
+      }
+
+      const status = (await statuses).get(pr.number);
+      if (status) {
+        Object.assign(pr, status);
+      } else {
+        // PRs fetched by number already come from the single PR endpoint
+        await this.attachMergeStatus(owner, repo, pr, Boolean(numbers));
+      }
+
+      completed++;
+      this.reportProgress(`${owner}/${repo}`, completed, allPRs.length);
+    }));
+
+    return allPRs;
+  }
+
+  /**
+   * Fetch a single PR, or null (with a warning) if it doesn't exist
+   */
+  async fetchPullRequestByNumber(owner, repo, number) {
+    try {
+      return (await this.client.get(`/repos/${owner}/${repo}/pulls/${number}`)).data;
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+      console.warn(`⚠️  Skipping ${owner}/${repo}#${number}: PR not found`);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch what the REST PR list lacks (review threads, mergeability, size and
+   * CI status) through GraphQL, as a Map from PR number to the fields to attach
+   * A repository's open PRs are covered by one paged query, while PRs fetched
+   * by number get a query each rather than paging through the whole repository.
+   * GraphQL requires a token; PRs missing from the Map get their merge status
+   * from the REST API instead, and without thread state all comments are counted
+   */
+  async fetchPullRequestStatuses(owner, repo, prs, numbers = null) {
+    if (prs.length === 0) return new Map();
+    if (!this.githubToken) {
+      if (!this.warnedAboutThreads) {
+        console.warn('Review thread resolution needs GITHUB_TOKEN; counting all comments as unresolved');
+        this.warnedAboutThreads = true;
+      }
+      return new Map();
+    }
+
+    if (numbers) {
+      const statuses = await Promise.all(prs.map(async pr => {
+        try {
+          return [pr.number, await this.graphqlSource.fetchPullRequestStatus(owner, repo, pr.number)];
         } catch (error) {
-          console.warn(`Failed to fetch detailed info for PR #${pr.number}: ${error.message}`);
-          pr.reviews = [];
-          pr.reviewComments = [];
-          pr.issueComments = [];
+          console.warn(`Failed to fetch review threads for PR #${pr.number}: ${error.message}`);
+          return null;
         }
-      }
+      }));
+      return new Map(statuses.filter(Boolean));
+    }
 
-      return allPRs;
+    try {
+      // PRs opened after the list was fetched aren't in the query's results
+      return await this.graphqlSource.fetchRepositoryStatus(owner, repo);
     } catch (error) {
-      if (error.response?.status === 404) {
-        throw new Error(`Repository "${owner}/${repo}" not found or not accessible`);
-      } else if (error.response?.status === 403) {
-        throw new Error('Rate limited or insufficient permissions. Consider setting GITHUB_TOKEN environment variable');
-      } else {
-        throw new Error(`Failed to fetch PRs: ${error.message}`);
+      console.warn(`Failed to fetch review threads for ${owner}/${repo}: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  /**
+   * Attach CI status (pr.checks), mergeability (pr.mergeable, pr.mergeable_state)
+   * and size (pr.additions, pr.deletions) to a REST-fetched PR when GraphQL
+   * couldn't; the PR list endpoint includes none of them, so unless the PR came
+   * from the single PR endpoint (isDetail) it is fetched again from there
+   */
+  async attachMergeStatus(owner, repo, pr, isDetail = false) {
+    try {
+      const sha = pr.head.sha;
+      const [detail, combinedStatus, checkRuns] = await Promise.all([
+        isDetail ? pr : this.client.get(`/repos/${owner}/${repo}/pulls/${pr.number}`).then(response => response.data),
+        this.client.get(`/repos/${owner}/${repo}/commits/${sha}/status`),
+        this.client.paginate(`/repos/${owner}/${repo}/commits/${sha}/check-runs`, {}, 'check_runs')
+      ]);
+
+      pr.mergeable = detail.mergeable;
+      pr.mergeable_state = detail.mergeable_state;
+      pr.additions = detail.additions;
+      pr.deletions = detail.deletions;
+      pr.checks = summarizeChecks(combinedStatus.data.statuses, checkRuns);
+    } catch (error) {
+      console.warn(`Failed to fetch CI status for PR #${pr.number}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Report per-repository progress while PR details are fetched
+   * Rewrites a single line on a terminal, otherwise logs periodically
+   */
+  reportProgress(label, completed, total) {
+    if (process.stdout.isTTY) {
+      process.stdout.write(`\r   ⏳ ${label}: ${completed}/${total} PRs`);
+      if (completed === total) {
+        process.stdout.write('\n');
       }
+    } else if (completed === total || completed % 25 === 0) {
+      console.log(`   ⏳ ${label}: ${completed}/${total} PRs`);
     }
   }
 
   /**
-   * Get approved reviews (excluding dismissed ones)
+   * Get the logins of an organization team's members
+   * Results are cached for the lifetime of the generator (one run)
    */
-  getApprovals(pr) {
+  getTeamMembers(org, slug) {
+    const key = `${org}/${slug}`;
+    if (!this.teamMembersCache.has(key)) {
+      const request = this.client.paginate(`/orgs/${org}/teams/${slug}/members`)
+        .then(members => members.map(member => member.login))
+        .catch(error => {
+          const status = error.response?.status;
+          const reason = status === 403 || status === 404 ?
+            'team not visible to this token (needs read:org)' :
+            error.message;
+          console.warn(`Could not resolve members of team @${key}: ${reason}`);
+          return [];
+        });
+      this.teamMembersCache.set(key, request);
+    }
+    return this.teamMembersCache.get(key);
+  }
+
+  /**
+   * Expand team review requests into their members
+   * Each requested team gets "org" and "members" (list of logins) attached
+   */
+  async resolveTeamRequests(owner, prs) {
+    const teams = prs.reduce((acc, pr) => acc.concat(pr.requested_teams || []), []);
+
+    await Promise.all(teams.map(async team => {
+      team.org = owner;
+      team.members = await this.getTeamMembers(owner, team.slug);
+    }));
+  }
+
+  /**
+   * Load the approval policy for a branch: the configured policy, with the
+   * branch's protection rules applied when "fromBranchProtection" is set
+   * Results are cached per branch for the lifetime of the generator
+   */
+  loadApprovalPolicy(owner, repo, branch) {
+    const key = `${owner}/${repo}:${branch}`;
+    if (!this.approvalPolicyCache.has(key)) {
+      const policy = getConfiguredPolicy(this.config, `${owner}/${repo}`);
+      const request = policy.fromBranchProtection && branch ?
+        this.fetchBranchProtection(owner, repo, branch)
+          .then(({ protection, rules }) => applyBranchProtection(policy, protection, rules)) :
+        Promise.resolve(policy);
+      this.approvalPolicyCache.set(key, request);
+    }
+    return this.approvalPolicyCache.get(key);
+  }
+
+  /**
+   * Fetch a branch's classic protection and its rulesets
+   * Either is null when the branch has none or it isn't visible to the token
+   * (reading classic protection needs admin access)
+   */
+  async fetchBranchProtection(owner, repo, branch) {
+    const ref = encodeURIComponent(branch);
+    const fetchOptional = async (url, description) => {
+      try {
+        return (await this.client.get(url)).data;
+      } catch (error) {
+        const status = error.response?.status;
+        if (status === 403) {
+          console.warn(`Could not read ${description} for ${owner}/${repo}@${branch} (needs admin access)`);
+        } else if (status !== 404) {
+          console.warn(`Could not read ${description} for ${owner}/${repo}@${branch}: ${error.message}`);
+        }
+        return null;
+      }
+    };
+
+    const [protection, rules] = await Promise.all([
+      fetchOptional(`/repos/${owner}/${repo}/branches/${ref}/protection`, 'branch protection'),
+      fetchOptional(`/repos/${owner}/${repo}/rules/branches/${ref}`, 'branch rulesets')
+    ]);
+    return { protection, rules };
+  }
+
+  /**
+   * Load a repository's CODEOWNERS rules from a branch, or [] without a file
+   * Results are cached per branch for the lifetime of the generator
+   */
+  loadCodeOwners(owner, repo, branch) {
+    const key = `${owner}/${repo}:${branch}`;
+    if (!this.codeOwnersCache.has(key)) {
+      const request = (async () => {
+        for (const filePath of CODEOWNERS_PATHS) {
+          try {
+            const response = await this.client.get(`/repos/${owner}/${repo}/contents/${filePath}`, { ref: branch });
+            return parseCodeOwners(Buffer.from(response.data.content, 'base64').toString('utf8'));
+          } catch (error) {
+            if (error.response?.status !== 404) {
+              console.warn(`Could not read ${filePath} in ${owner}/${repo}: ${error.message}`);
+              return [];
+            }
+          }
+        }
+        return [];
+      })();
+      this.codeOwnersCache.set(key, request);
+    }
+    return this.codeOwnersCache.get(key);
+  }
+
+  /**
+   * Resolve a set of required reviewers ("login" or "org/team") into a group
+   * that one approval from any member satisfies
+   */
+  async resolveReviewerGroup(reviewers) {
+    const logins = await Promise.all(reviewers.map(reviewer => {
+      const [org, slug] = reviewer.split('/');
+      return slug ? this.getTeamMembers(org, slug) : [reviewer];
+    }));
+
+    return {
+      name: reviewers.map(reviewer => (reviewer.includes('/') ? `@${reviewer}` : reviewer)).join(' or '),
+      logins: logins.reduce((acc, members) => acc.concat(members), [])
+    };
+  }
+
+  /**
+   * Attach each PR's approval policy (pr.approvalPolicy) and the groups it
+   * needs an approval from (pr.requiredReviewers): the policy's required
+   * reviewers and, when code owner reviews are required, the code owners of
+   * the changed files
+   */
+  async resolveApprovalPolicies(owner, repo, prs) {
+    await Promise.all(prs.map(async pr => {
+      const branch = pr.base && pr.base.ref;
+      const policy = await this.loadApprovalPolicy(owner, repo, branch);
+      let reviewerSets = (policy.requiredReviewers || []).map(reviewer => [reviewer]);
+
+      if (policy.requireCodeOwnerReviews && branch) {
+        try {
+          const [rules, files] = await Promise.all([
+            this.loadCodeOwners(owner, repo, branch),
+            this.client.paginate(`/repos/${owner}/${repo}/pulls/${pr.number}/files`)
+          ]);
+          reviewerSets = reviewerSets.concat(getRequiredOwnerSets(rules, files.map(file => file.filename)));
+        } catch (error) {
+          console.warn(`Failed to fetch code owners for PR #${pr.number}: ${error.message}`);
+        }
+      }
+
+      pr.approvalPolicy = policy;
+      pr.requiredReviewers = await Promise.all(reviewerSets.map(reviewers => this.resolveReviewerGroup(reviewers)));
+    }));
+  }
+
+  /**
+   * Get a PR's approval policy, falling back to the global config when it
+   * wasn't resolved while fetching
+   */
+  getApprovalPolicy(pr) {
+    return pr.approvalPolicy || this.config.approvalPolicy;
+  }
+
+  /**
+   * Get each user's latest review when it is an approval (excluding dismissed
+   * ones and bots), whether or not it is stale
+   */
+  getLatestApprovals(pr) {
     if (!pr.reviews) return [];
 
     const latestReviewsByUser = new Map();
@@ -128,6 +619,7 @@ class PRMarkdownGenerator {
     // Get the latest review from each user
     pr.reviews
       .sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at))
+      .filter(review => !this.isBot(review.user))
       .forEach(review => {
         latestReviewsByUser.set(review.user.login, review);
       });
@@ -137,6 +629,64 @@ class PRMarkdownGenerator {
       .filter(review => review.state === 'APPROVED');
   }
 
+  /**
+   * Check whether an approval was given on an earlier commit than the PR's head
+   */
+  isStaleApproval(pr, review) {
+    const headSHA = pr.head && pr.head.sha;
+    return Boolean(headSHA && review.commit_id && review.commit_id !== headSHA);
+  }
+
+  /**
+   * Get the approvals that count towards merging
+   * Stale approvals only count when the policy doesn't dismiss them
+   */
+  getApprovals(pr) {
+    const { dismissStaleApprovals } = this.getApprovalPolicy(pr);
+    return this.getLatestApprovals(pr)
+      .filter(review => !dismissStaleApprovals || !this.isStaleApproval(pr, review));
+  }
+
+  /**
+   * Get approvals given before the PR's latest commit, counted or not
+   */
+  getStaleApprovals(pr) {
+    return this.getLatestApprovals(pr).filter(review => this.isStaleApproval(pr, review));
+  }
+
+  /**
+   * Format approvers' logins, marking stale approvals
+   */
+  formatApprovers(pr, approvals) {
+    return approvals
+      .map(approval => (this.isStaleApproval(pr, approval) ? `${approval.user.login} (stale)` : approval.user.login))
+      .join(', ');
+  }
+
+  /**
+   * Get how many more approvals a PR needs under its policy
+   */
+  getMissingApprovals(pr) {
+    return Math.max(0, this.getApprovalPolicy(pr).requiredApprovals - this.getApprovals(pr).length);
+  }
+
+  /**
+   * Get the names of the required reviewer groups (users, teams or code
+   * owners) that haven't approved a PR yet
+   */
+  getMissingReviewers(pr) {
+    const approvedUsers = new Set(this.getApprovals(pr).map(approval => approval.user.login));
+    const groups = pr.requiredReviewers ||
+      (this.getApprovalPolicy(pr).requiredReviewers || []).map(reviewer => ({
+        name: reviewer.includes('/') ? `@${reviewer}` : reviewer,
+        logins: reviewer.includes('/') ? [] : [reviewer]
+      }));
+
+    return groups
+      .filter(group => !group.logins.some(login => approvedUsers.has(login)))
+      .map(group => group.name);
+  }
+
   /**
    * Get all comments from real users (excluding bots)
    */
@@ -146,12 +696,70 @@ class PRMarkdownGenerator {
       ...(pr.issueComments || [])
     ];
 
-    // Filter out bot comments (specifically gitstream-cm and other common bots)
-    return allComments.filter(comment =>
-      !comment.user.login.includes('bot') &&
-      comment.user.login !== 'gitstream-cm' &&
-      comment.user.type !== 'Bot'
-    );
+    // Filter out bot comments (see the "bots" config)
+    return allComments.filter(comment => !this.isBot(comment.user));
+  }
+
+  /**
+   * Check if a user is a bot, using the "bots" config
+   * "allow" and "deny" logins win; otherwise GitHub App accounts and logins
+   * matching a pattern are bots
+   */
+  isBot(user) {
+    const login = user.login.toLowerCase();
+    if (this.botFilter.allow.has(login)) return false;
+    if (this.botFilter.deny.has(login)) return true;
+
+    return user.type === 'Bot' ||
+      login.endsWith('[bot]') ||
+      this.botFilter.patterns.some(matches => matches(user.login));
+  }
+
+  /**
+   * Check whether a PR's author is excluded from reports ("excludeAuthors" config)
+   */
+  isExcludedAuthor(pr) {
+    return this.excludeAuthorMatchers.some(matches => matches(pr.user.login));
+  }
+
+  /**
+   * Count review threads by state, or return null if thread state wasn't fetched
+   * Only threads that are neither resolved nor outdated count as unresolved
+   */
+  getThreadStats(pr) {
+    if (!pr.reviewThreads) return null;
+
+    const stats = { unresolved: 0, resolved: 0, outdated: 0 };
+    pr.reviewThreads.forEach(thread => {
+      if (thread.isResolved) {
+        stats.resolved++;
+      } else if (thread.isOutdated) {
+        stats.outdated++;
+      } else {
+        stats.unresolved++;
+      }
+    });
+    return stats;
+  }
+
+  /**
+   * Get the users who commented on unresolved, non-outdated review threads
+   * Returns null if thread state wasn't fetched
+   */
+  getUnresolvedThreadCommenters(pr) {
+    if (!pr.reviewThreads) return null;
+
+    const commenters = new Set();
+    pr.reviewThreads
+      .filter(thread => !thread.isResolved && !thread.isOutdated)
+      .forEach(thread => {
+        thread.comments.forEach(comment => {
+          if (!this.isBot(comment.user)) {
+            commenters.add(comment.user.login);
+          }
+        });
+      });
+    return commenters;
   }
 
   /**
@@ -181,45 +789,61 @@ class PRMarkdownGenerator {
     return prolificCommenters;
   }
 
+  /**
+   * Get currently requested reviewers, mapped to the team they were requested
+   * through ("org/slug"), or null when requested individually
+   * Team members are only known after resolveTeamRequests has run
+   */
+  getRequestedReviewers(pr) {
+    const requestedReviewers = new Map();
+
+    (pr.requested_teams || []).forEach(team => {
+      (team.members || []).forEach(login => {
+        if (!requestedReviewers.has(login)) {
+          requestedReviewers.set(login, team.org ? `${team.org}/${team.slug}` : team.slug);
+        }
+      });
+    });
+
+    // Individual requests take precedence over team requests
+    (pr.requested_reviewers || []).forEach(reviewer => {
+      requestedReviewers.set(reviewer.login, null);
+    });
+
+    return requestedReviewers;
+  }
+
+  /**
+   * Format reviewer logins, noting the team each was requested through
+   */
+  formatReviewers(pr, logins) {
+    const requestedReviewers = this.getRequestedReviewers(pr);
+    return logins
+      .map(login => {
+        const team = requestedReviewers.get(login);
+        return team ? `${login} via @${team}` : login;
+      })
+      .join(', ');
+  }
+
   /**
    * Check if PR has comments from users who are NOT currently requested for review
    * New criteria: commenters have left comments but are NOT re-requested or requested for review
+   * Resolved and outdated review threads are ignored when their state is known
    */
   hasCommentsToFix(pr) {
-    const comments = this.getAllComments(pr);
-    if (comments.length === 0) {
-      return false;
-    }
-
     // Get all commenters (excluding PR owner)
-    const commenters = new Set();
-    comments.forEach(comment => {
-      if (comment.user.login !== pr.user.login) {
-        commenters.add(comment.user.login);
-      }
-    });
+    // When thread state is known, only unresolved, non-outdated threads count
+    const commenters = this.getUnresolvedThreadCommenters(pr) ||
+      new Set(this.getAllComments(pr).map(comment => comment.user.login));
+    commenters.delete(pr.user.login);
 
     if (commenters.size === 0) {
       return false;
     }
 
-    // Get currently requested reviewers (including re-requested)
-    const requestedReviewers = new Set();
-
-    // Add individual requested reviewers
-    if (pr.requested_reviewers) {
-      pr.requested_reviewers.forEach(reviewer => {
-        requestedReviewers.add(reviewer.login);
-      });
-    }
-
-    // Add team requested reviewers
-    if (pr.requested_teams) {
-      pr.requested_teams.forEach(team => {
-        // Note: We can't easily get team members without additional API calls
-        // For now, we'll assume team requests don't affect individual commenters
-      });
-    }
+    // Get currently requested reviewers (including re-requested and team members)
+    const requestedReviewers = this.getRequestedReviewers(pr);
 
     // Check if any commenter is NOT currently requested for review
     for (const commenter of commenters) {
@@ -233,7 +857,7 @@ class PRMarkdownGenerator {
 
   /**
    * Get prolific commenters who have been re-requested for review
-   * These are users with 3+ comments who are currently in requested_reviewers
+   * These are users with 3+ comments who are currently requested, individually or via a team
    */
   getProlificCommentersReRequested(pr) {
     const comments = this.getAllComments(pr);
@@ -241,13 +865,8 @@ class PRMarkdownGenerator {
     const approvedUsers = new Set(approvals.map(approval => approval.user.login));
     const prOwner = pr.user.login;
 
-    // Get currently requested reviewers
-    const requestedReviewers = new Set();
-    if (pr.requested_reviewers) {
-      pr.requested_reviewers.forEach(reviewer => {
-        requestedReviewers.add(reviewer.login);
-      });
-    }
+    // Get currently requested reviewers (including team members)
+    const requestedReviewers = this.getRequestedReviewers(pr);
 
     // Count comments by user
     const commentCounts = new Map();
@@ -268,66 +887,76 @@ class PRMarkdownGenerator {
   }
 
   /**
-   * Check if the review owner has approved the PR
+   * Get the review owners: the "reviewOwners" config plus REVIEW_OWNER,
+   * which may list several logins separated by commas
+   */
+  getReviewOwners() {
+    const fromEnvironment = (process.env.REVIEW_OWNER || '')
+      .split(',')
+      .map(login => login.trim())
+      .filter(Boolean);
+    return (this.config.reviewOwners || []).concat(fromEnvironment);
+  }
+
+  /**
+   * Check if any review owner has approved the PR
    */
   hasReviewOwnerApproval(pr) {
-    const reviewOwner = process.env.REVIEW_OWNER;
-    if (!reviewOwner) {
+    const reviewOwners = this.getReviewOwners();
+    if (reviewOwners.length === 0) {
       return false;
     }
     const approvals = this.getApprovals(pr);
-    return approvals.some(approval => approval.user.login === reviewOwner);
+    return approvals.some(approval => reviewOwners.includes(approval.user.login));
   }
 
   /**
-   * Categorize PRs based on the new criteria
+   * Compute the signals that categorization rules match against
    */
-  categorizePRs(prs) {
-    const categories = {
-      highPriority: [],
-      needOneMoreApproval: [],
-      needsProlificCommentersApproval: [],
-      requiresReview: [],
-      hasCommentsToFix: [],
-      needsMerging: []
+  getSignals(pr) {
+    const missingApprovals = this.getMissingApprovals(pr);
+    const missingReviewers = this.getMissingReviewers(pr);
+    const tier = this.getPriorityTier(pr);
+
+    return {
+      approvals: this.getApprovals(pr).length,
+      requiredApprovals: this.getApprovalPolicy(pr).requiredApprovals,
+      missingApprovals,
+      missingReviewers,
+      approved: missingApprovals === 0 && missingReviewers.length === 0,
+      staleApprovals: this.getStaleApprovals(pr).map(approval => approval.user.login),
+      highPriority: this.hasHighPriorityLabel(pr),
+      priority: tier ? [tier.id] : [],
+      labels: pr.labels.map(label => label.name),
+      author: pr.user.login,
+      requestedReviewers: Array.from(this.getRequestedReviewers(pr).keys()),
+      prolificReRequested: this.getProlificCommentersReRequested(pr),
+      prolificWithoutApproval: this.getProlificCommentersWithoutApproval(pr),
+      commentsToFix: this.hasCommentsToFix(pr),
+      reviewOwnerApproved: this.hasReviewOwnerApproval(pr),
+      checks: pr.checks ? pr.checks.state : 'none',
+      mergeConflicts: hasMergeConflicts(pr),
+      behindBase: pr.mergeable_state === 'behind'
     };
+  }
+
+  /**
+   * Categorize PRs using the configured rules
+   * Each PR goes into the category of the first matching rule; PRs that match
+   * no rule are left out of the report
+   */
+  categorizePRs(prs) {
+    const categories = {};
+    this.config.categories.forEach(category => {
+      categories[category.id] = [];
+    });
 
     prs.forEach(pr => {
-      const approvals = this.getApprovals(pr);
-      const approvalCount = approvals.length;
-      const prolificCommentersReRequested = this.getProlificCommentersReRequested(pr);
-      const prolificCommentersWithoutApproval = this.getProlificCommentersWithoutApproval(pr);
-      const hasCommentsToFixFlag = this.hasCommentsToFix(pr);
-      const hasReviewOwnerApproval = this.hasReviewOwnerApproval(pr);
-      const isHighPriority = this.hasHighPriorityLabel(pr);
-
-      // High priority PRs get their own category regardless of other status
-      if (isHighPriority) {
-        categories.highPriority.push(pr);
-      }
-      // Prioritize prolific commenters who have been re-requested (3+ comments and currently requested)
-      else if (prolificCommentersReRequested.length > 0) {
-        categories.needsProlificCommentersApproval.push(pr);
-      }
-      // Has comments to fix (commenters have left comments but are NOT requested for review)
-      else if (hasCommentsToFixFlag) {
-        categories.hasCommentsToFix.push(pr);
-      }
-      // Needs merging (2+ approvals, no comments to fix, but no review owner approval)
-      else if (approvalCount >= 2 && !hasCommentsToFixFlag && !hasReviewOwnerApproval) {
-        categories.needsMerging.push(pr);
-      }
-      // Needs approvals from prolific commenters (3+ comments but not currently requested)
-      else if (prolificCommentersWithoutApproval.length > 0) {
-        categories.needsProlificCommentersApproval.push(pr);
-      }
-      // Need one more approval (exactly 1 approval)
-      else if (approvalCount === 1) {
-        categories.needOneMoreApproval.push(pr);
-      }
-      // Requires review (no approvals or reviews)
-      else if (approvalCount === 0) {
-        categories.requiresReview.push(pr);
+      const signals = this.getSignals(pr);
+      const rule = this.config.rules.find(rule => matchesCondition(rule.when, signals));
+
+      if (rule) {
+        categories[rule.category].push(pr);
       }
     });
 
@@ -339,14 +968,102 @@ class PRMarkdownGenerator {
    */
   hasHighPriorityLabel(pr) {
     return pr.labels.some(label =>
-      label.name.toLowerCase().includes('high priority') ||
-      label.name.toLowerCase().includes('high-priority') ||
-      label.name.toLowerCase().includes('priority : high') ||
-      label.name.toLowerCase().includes('urgent') ||
-      label.name.toLowerCase().includes('critical')
+      this.priorityMatchers.some(matches => matches(label.name))
     );
   }
 
+  /**
+   * Get the first priority tier with a pattern matching one of the PR's labels
+   * or its milestone, or null
+   */
+  getPriorityTier(pr) {
+    const milestone = pr.milestone && pr.milestone.title;
+    const match = this.priorityTiers.find(({ labelMatchers, milestoneMatchers }) =>
+      pr.labels.some(label => labelMatchers.some(matches => matches(label.name))) ||
+      Boolean(milestone && milestoneMatchers.some(matches => matches(milestone)))
+    );
+    return match ? match.tier : null;
+  }
+
+  /**
+   * Get the current time, or the fixed time the generator was created with
+   */
+  getNow() {
+    return this.now ? new Date(this.now) : new Date();
+  }
+
+  /**
+   * Get the time of the most recent activity on a PR: updates, reviews or comments
+   */
+  getLastActivity(pr) {
+    const timestamps = [pr.updated_at, pr.created_at]
+      .concat((pr.reviews || []).map(review => review.submitted_at))
+      .concat([...(pr.reviewComments || []), ...(pr.issueComments || [])].map(comment => comment.created_at))
+      .filter(Boolean)
+      .map(timestamp => new Date(timestamp).getTime());
+
+    return timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null;
+  }
+
+  /**
+   * Get the time of the first review from someone other than the author
+   */
+  getFirstReviewAt(pr) {
+    const reviewTimes = (pr.reviews || [])
+      .filter(review => review.submitted_at && review.user.login !== pr.user.login && !this.isBot(review.user))
+      .map(review => new Date(review.submitted_at).getTime());
+
+    return reviewTimes.length > 0 ? new Date(Math.min(...reviewTimes)) : null;
+  }
+
+  /**
+   * Get the review SLAs a PR breaches, as human-readable reasons
+   */
+  getStaleReasons(pr) {
+    const reasons = [];
+    const now = this.getNow();
+
+    if (this.sla.firstReview && pr.created_at && !this.getFirstReviewAt(pr) &&
+      exceedsSLA(new Date(pr.created_at), now, this.sla.firstReview)) {
+      reasons.push(`no review for ${this.sla.firstReview.label}`);
+    }
+
+    const lastActivity = this.getLastActivity(pr);
+    if (this.sla.inactivity && lastActivity && exceedsSLA(lastActivity, now, this.sla.inactivity)) {
+      reasons.push(`no activity for ${this.sla.inactivity.label}`);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Compare two PRs by the configured sort key
+   */
+  comparePRs(a, b) {
+    const time = value => (value ? new Date(value).getTime() : 0);
+
+    switch (this.sortKey) {
+      case 'oldest':
+        return time(a.created_at) - time(b.created_at);
+      case 'activity':
+        return time(this.getLastActivity(b)) - time(this.getLastActivity(a));
+      case 'inactive':
+        return time(this.getLastActivity(a)) - time(this.getLastActivity(b));
+      case 'title':
+        return a.title.localeCompare(b.title);
+      default:
+        // Newest first
+        return time(b.created_at) - time(a.created_at);
+    }
+  }
+
+  /**
+   * Sort PRs by the configured sort key (stable, returns a new array)
+   */
+  sortPRs(prs) {
+    return prs.slice().sort((a, b) => this.comparePRs(a, b));
+  }
+
   /**
    * Sort PRs with high priority first
    */
@@ -358,184 +1075,663 @@ class PRMarkdownGenerator {
       if (aHighPriority && !bHighPriority) return -1;
       if (!aHighPriority && bHighPriority) return 1;
 
-      // If both have same priority, sort by creation date (newest first)
-      return new Date(b.created_at) - new Date(a.created_at);
+      // If both have same priority, use the configured sort key
+      return this.comparePRs(a, b);
     });
   }
 
   /**
-   * Generate markdown content from categorized PRs
-   * Can handle single or multiple repositories
+   * Get the section heading for a category
    */
-  generateMarkdown(prsData) {
+  getCategoryHeading(category) {
+    return category.heading || [category.title, category.emoji].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Format the parenthesized details shown after a PR link
+   * The format is chosen by the category's "details" setting
+   */
+  formatPRDetails(pr, detailsType) {
+    switch (detailsType) {
+      case 'priorityStatus': {
+        const approvalCount = this.getApprovals(pr).length;
+        const missingApprovals = this.getMissingApprovals(pr);
+        const missingReviewers = this.getMissingReviewers(pr);
+
+        if (approvalCount === 0 && (missingApprovals > 0 || missingReviewers.length > 0)) {
+          return 'needs review';
+        } else if (missingApprovals === 1) {
+          return 'needs one more approval';
+        } else if (missingApprovals > 1) {
+          return `needs ${missingApprovals} more approvals`;
+        } else if (missingReviewers.length > 0) {
+          return `needs approval from ${missingReviewers.join(', ')}`;
+        }
+        return 'ready to merge';
+      }
+      case 'approvedBy': {
+        // Includes stale approvals the policy doesn't count, so it's clear why
+        const approvals = this.getLatestApprovals(pr);
+        const approverNames = approvals.length > 0 ? this.formatApprovers(pr, approvals) : 'unknown';
+        return `approved by ${approverNames}`;
+      }
+      case 'approvalProgress': {
+        const approvalCount = this.getApprovals(pr).length;
+        const dismissedCount = this.getLatestApprovals(pr).length - approvalCount;
+        const parts = [];
+        if (approvalCount > 0) {
+          parts.push(`${approvalCount} of ${this.getApprovalPolicy(pr).requiredApprovals} approvals`);
+        }
+        if (dismissedCount > 0) {
+          parts.push(`${dismissedCount} stale approval${dismissedCount !== 1 ? 's' : ''}`);
+        }
+        return parts.join(', ');
+      }
+      case 'missingReviewers': {
+        const missingReviewers = this.getMissingReviewers(pr);
+        return missingReviewers.length > 0 ? `waiting for: ${missingReviewers.join(', ')}` : '';
+      }
+      case 'prolificCommenters': {
+        const prolificCommentersReRequested = this.getProlificCommentersReRequested(pr);
+        const prolificCommentersWithoutApproval = this.getProlificCommentersWithoutApproval(pr);
+
+        if (prolificCommentersReRequested.length > 0) {
+          return `re-requested: ${this.formatReviewers(pr, prolificCommentersReRequested)}`;
+        } else if (prolificCommentersWithoutApproval.length > 0) {
+          return `waiting for: ${prolificCommentersWithoutApproval.join(', ')}`;
+        }
+        return '';
+      }
+      case 'commentCount': {
+        const threadStats = this.getThreadStats(pr);
+        if (threadStats) {
+          const { unresolved, resolved, outdated } = threadStats;
+          const others = [`${resolved} resolved`];
+          if (outdated > 0) {
+            others.push(`${outdated} outdated`);
+          }
+          return `${unresolved} unresolved thread${unresolved !== 1 ? 's' : ''} (${others.join(', ')})`;
+        }
+
+        const commentCount = this.getAllComments(pr).length;
+        return `${commentCount} comment${commentCount !== 1 ? 's' : ''}`;
+      }
+      case 'approvalCount': {
+        const approvals = this.getApprovals(pr);
+        const staleCount = approvals.filter(approval => this.isStaleApproval(pr, approval)).length;
+        return `${approvals.length} approvals${staleCount > 0 ? `, ${staleCount} stale` : ''}`;
+      }
+      case 'failingChecks': {
+        const failing = pr.checks ? pr.checks.failing : [];
+        return failing.length > 0 ? `failing: ${failing.join(', ')}` : '';
+      }
+      case 'mergeConflicts':
+        return pr.base && pr.base.ref ? `conflicts with ${pr.base.ref}` : 'has conflicts';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Build a PR entry for the report model
+   */
+  buildReportEntry(pr, repository, category) {
+    const tier = this.getPriorityTier(pr);
+    const requestedReviewers = this.getRequestedReviewers(pr);
+    const approvers = this.getApprovals(pr).map(approval => approval.user.login);
+    const threadStats = this.getThreadStats(pr);
+    const lastActivity = this.getLastActivity(pr);
+    const staleReasons = this.getStaleReasons(pr);
+
+    return {
+      number: pr.number,
+      title: pr.title,
+      url: pr.html_url,
+      repository,
+      author: pr.user.login,
+      labels: pr.labels.map(label => label.name),
+      createdAt: pr.created_at || null,
+      lastActivityAt: lastActivity ? lastActivity.toISOString() : null,
+      stale: staleReasons.length > 0,
+      staleReasons,
+      checks: pr.checks || { state: 'none', failing: [], pending: [] },
+      mergeable: pr.mergeable === undefined ? null : pr.mergeable,
+      mergeableState: pr.mergeable_state || null,
+      size: Number.isInteger(pr.additions) && Number.isInteger(pr.deletions) ?
+        { additions: pr.additions, deletions: pr.deletions } :
+        null,
+      category: category.id,
+      priority: tier ? tier.id : null,
+      details: this.formatPRDetails(pr, category.details),
+      approvers,
+      staleApprovers: this.getStaleApprovals(pr).map(approval => approval.user.login),
+      requiredApprovals: this.getApprovalPolicy(pr).requiredApprovals,
+      missingReviewers: this.getMissingReviewers(pr),
+      pendingReviewers: Array.from(requestedReviewers.entries())
+        .filter(([login]) => !approvers.includes(login))
+        .map(([login, team]) => ({ login, team })),
+      comments: {
+        total: this.getAllComments(pr).length,
+        unresolvedThreads: threadStats ? threadStats.unresolved : null,
+        resolvedThreads: threadStats ? threadStats.resolved : null,
+        outdatedThreads: threadStats ? threadStats.outdated : null
+      }
+    };
+  }
+
+  /**
+   * Normalize single or multiple repository data and combine their PRs,
+   * remembering which repository each PR came from
+   */
+  collectPRs(prsData) {
     // Handle both single repo (legacy) and multiple repos format
     const isMultiRepo = Array.isArray(prsData);
     const repoDataArray = isMultiRepo ? prsData : [prsData];
 
-    let markdown = '';
+    const repositoryOf = new Map();
+    const allPRs = [];
+    repoDataArray.forEach(({ owner, repo, prs }) => {
+      prs.forEach(pr => {
+        repositoryOf.set(pr, `${owner}/${repo}`);
+        allPRs.push(pr);
+      });
+    });
 
-    // Combine all PRs from all repositories
-    const allPRs = repoDataArray.reduce((acc, data) => acc.concat(data.prs), []);
+    return { isMultiRepo, repoDataArray, allPRs, repositoryOf };
+  }
 
-    // Generate header
-    if (isMultiRepo && repoDataArray.length > 1) {
-      markdown += `# Pull Requests Summary\n\n`;
-      markdown += `Generated on: ${new Date().toISOString().split('T')[0]}\n`;
-      markdown += `Repositories: ${repoDataArray.length}\n`;
-      markdown += `Total PRs: ${allPRs.length}\n\n`;
-    } else {
-      const { owner, repo } = repoDataArray[0];
-      markdown += `# Pull Requests for ${owner}/${repo}\n\n`;
-      markdown += `Generated on: ${new Date().toISOString().split('T')[0]}\n`;
-      markdown += `Total PRs: ${allPRs.length}\n\n`;
-    }
+  /**
+   * Build the report fields shared by every kind of report
+   */
+  buildReportHeader(repoDataArray, title) {
+    return {
+      schemaVersion: 1,
+      title,
+      for: null,
+      generatedAt: this.getNow().toISOString(),
+      groupBy: this.groupBy,
+      changes: null,
+      stats: null,
+      emptyMessage: 'No open pull requests found.',
+      repositories: repoDataArray.map(({ owner, repo, prs }) => ({
+        name: `${owner}/${repo}`,
+        totalPRs: prs.length
+      }))
+    };
+  }
+
+  /**
+   * Build the format-independent report model from categorized PRs
+   * Can handle single or multiple repositories
+   */
+  buildReport(prsData) {
+    const { isMultiRepo, repoDataArray, allPRs, repositoryOf } = this.collectPRs(prsData);
+
+    const title = isMultiRepo && repoDataArray.length > 1 ?
+      'Pull Requests Summary' :
+      `Pull Requests for ${repoDataArray[0].owner}/${repoDataArray[0].repo}`;
 
     // Categorize all PRs together
     const categories = this.categorizePRs(allPRs);
+    const tierOf = new Map(allPRs.map(pr => [pr, this.getPriorityTier(pr)]));
+
+    // A category's PRs in the given priority tier (null for PRs in none)
+    const buildCategorySection = (category, tier) => ({
+      id: category.id,
+      title: category.title,
+      emoji: category.emoji || null,
+      heading: this.getCategoryHeading(category),
+      prs: this.sortPRs(categories[category.id].filter(pr => tierOf.get(pr) === tier)).map(pr =>
+        this.buildReportEntry(pr, repositoryOf.get(pr), category)
+      ),
+      subsections: null
+    });
 
-    // Add each category section
-    if (categories.highPriority.length > 0) {
-      markdown += `## High Priority :rotating_light:\n`;
-      categories.highPriority.forEach(pr => {
-        const approvals = this.getApprovals(pr);
-        const approvalCount = approvals.length;
-        const status = approvalCount === 0 ? 'needs review' :
-          approvalCount === 1 ? 'needs one more approval' :
-            'ready to merge';
-        markdown += `- [${pr.title}](${pr.html_url}) (${status})\n`;
-      });
-      markdown += `\n`;
-    }
+    // Priority tiers come first, each split into the categories' subsections
+    const tierSections = this.config.priorityTiers.map(tier => {
+      const subsections = this.config.categories
+        .map(category => buildCategorySection(category, tier))
+        .filter(subsection => subsection.prs.length > 0);
+      return {
+        id: tier.id,
+        title: tier.title || tier.id,
+        emoji: tier.emoji || null,
+        heading: this.getCategoryHeading({ title: tier.id, ...tier }),
+        prs: subsections.reduce((prs, subsection) => prs.concat(subsection.prs), []),
+        subsections
+      };
+    });
 
-    if (categories.needOneMoreApproval.length > 0) {
-      markdown += `## Need one more approval :white_check_mark:\n`;
-      categories.needOneMoreApproval.forEach(pr => {
-        const approvals = this.getApprovals(pr);
-        const approverName = approvals.length > 0 ? approvals[0].user.login : 'unknown';
-        markdown += `- [${pr.title}](${pr.html_url}) (approved by ${approverName})\n`;
+    const sections = tierSections.concat(this.config.categories.map(category => buildCategorySection(category, null)));
+
+    // Optionally pull SLA breaches out into their own section at the top
+    if (this.sla.section) {
+      const staleSection = {
+        id: 'stale',
+        title: 'Stale',
+        emoji: ':hourglass:',
+        heading: 'Stale :hourglass:',
+        prs: [],
+        subsections: null
+      };
+      sections.forEach(section => {
+        staleSection.prs = staleSection.prs.concat(section.prs.filter(pr => pr.stale));
+        section.prs = section.prs.filter(pr => !pr.stale);
+        if (section.subsections) {
+          section.subsections = section.subsections
+            .map(subsection => ({ ...subsection, prs: subsection.prs.filter(pr => !pr.stale) }))
+            .filter(subsection => subsection.prs.length > 0);
+        }
       });
-      markdown += `\n`;
+      sections.unshift(staleSection);
     }
 
-    if (categories.needsProlificCommentersApproval.length > 0) {
-      markdown += `## Needs approvals from previous :sparkles: prolific :sparkles: commenters\n`;
-      categories.needsProlificCommentersApproval.forEach(pr => {
-        const prolificCommentersReRequested = this.getProlificCommentersReRequested(pr);
-        const prolificCommentersWithoutApproval = this.getProlificCommentersWithoutApproval(pr);
+    return {
+      ...this.buildReportHeader(repoDataArray, title),
+      stats: this.includeStats ? this.buildStats(allPRs) : null,
+      totalPRs: allPRs.length,
+      sections
+    };
+  }
 
-        let commentersList = '';
-        let status = '';
+  /**
+   * Compute review throughput and bottleneck stats from the loaded reviews and
+   * comments. Only open PRs are fetched, so the stats describe the current queue
+   */
+  buildStats(prs) {
+    const firstReviewTimes = [];
+    const secondApprovalTimes = [];
+    let awaitingFirstReview = 0;
+    const reviewers = new Map();
+
+    const reviewerStats = login => {
+      if (!reviewers.has(login)) {
+        reviewers.set(login, { login, reviews: 0, approvals: 0, comments: 0, prsCommented: new Set(), blocking: 0 });
+      }
+      return reviewers.get(login);
+    };
 
-        if (prolificCommentersReRequested.length > 0) {
-          commentersList = prolificCommentersReRequested.join(', ');
-          status = 're-requested';
-        } else if (prolificCommentersWithoutApproval.length > 0) {
-          commentersList = prolificCommentersWithoutApproval.join(', ');
-          status = 'waiting for';
-        }
+    prs.forEach(pr => {
+      const author = pr.user.login;
 
-        markdown += `- [${pr.title}](${pr.html_url}) (${status}: ${commentersList})\n`;
-      });
-      markdown += `\n`;
-    }
+      const firstReviewAt = this.getFirstReviewAt(pr);
+      if (firstReviewAt) {
+        firstReviewTimes.push(Math.max(0, firstReviewAt - new Date(pr.created_at)));
+      } else {
+        awaitingFirstReview++;
+      }
 
-    if (categories.requiresReview.length > 0) {
-      markdown += `## Requires review :writing_hand:\n`;
-      categories.requiresReview.forEach(pr => {
-        markdown += `- [${pr.title}](${pr.html_url})\n`;
-      });
-      markdown += `\n`;
-    }
+      // Time of each reviewer's first approval, to measure first -> second approval
+      const firstApprovals = new Map();
+      (pr.reviews || [])
+        .filter(review => review.submitted_at && review.user.login !== author && !this.isBot(review.user))
+        .sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at))
+        .forEach(review => {
+          const stats = reviewerStats(review.user.login);
+          stats.reviews++;
+          if (review.state === 'APPROVED') {
+            stats.approvals++;
+            if (!firstApprovals.has(review.user.login)) {
+              firstApprovals.set(review.user.login, new Date(review.submitted_at));
+            }
+          }
+        });
+
+      const approvalTimes = Array.from(firstApprovals.values());
+      if (approvalTimes.length >= 2) {
+        secondApprovalTimes.push(approvalTimes[1] - approvalTimes[0]);
+      }
+
+      this.getAllComments(pr)
+        .filter(comment => comment.user.login !== author)
+        .forEach(comment => {
+          const stats = reviewerStats(comment.user.login);
+          stats.comments++;
+          stats.prsCommented.add(pr.html_url);
+        });
 
-    if (categories.hasCommentsToFix.length > 0) {
-      markdown += `## Have some comments to fix :wrench:\n`;
-      categories.hasCommentsToFix.forEach(pr => {
-        const comments = this.getAllComments(pr);
-        const commentCount = comments.length;
-        markdown += `- [${pr.title}](${pr.html_url}) (${commentCount} comment${commentCount !== 1 ? 's' : ''})\n`;
+      this.getProlificCommentersWithoutApproval(pr).forEach(login => {
+        reviewerStats(login).blocking++;
       });
-      markdown += `\n`;
+    });
+
+    return {
+      timeToFirstReview: { ...summarizeDurations(firstReviewTimes), awaiting: awaitingFirstReview },
+      firstToSecondApproval: summarizeDurations(secondApprovalTimes),
+      reviewers: Array.from(reviewers.values())
+        .map(stats => ({ ...stats, prsCommented: stats.prsCommented.size }))
+        .sort((a, b) => b.reviews - a.reviews || b.comments - a.comments || a.login.localeCompare(b.login))
+    };
+  }
+
+  /**
+   * Find which of a user's action items a PR is, if any
+   * Returns { id, details } for the first matching action, or null
+   */
+  getActionItem(pr, login) {
+    const author = pr.user.login;
+    const approvedUsers = new Set(this.getApprovals(pr).map(approval => approval.user.login));
+
+    if (author === login) {
+      return this.hasCommentsToFix(pr) ?
+        { id: 'yourCommentsToFix', details: this.formatPRDetails(pr, 'commentCount') } :
+        null;
+    }
+    if (approvedUsers.has(login)) {
+      return null;
     }
 
-    if (categories.needsMerging.length > 0) {
-      markdown += `## Needs merging (Reminder for me :zany_face:)\n`;
-      categories.needsMerging.forEach(pr => {
-        const approvals = this.getApprovals(pr);
-        const approvalCount = approvals.length;
-        markdown += `- [${pr.title}](${pr.html_url}) (${approvalCount} approvals)\n`;
-      });
-      markdown += `\n`;
+    const requestedReviewers = this.getRequestedReviewers(pr);
+    if (requestedReviewers.has(login)) {
+      const details = [`by ${author}`];
+      const team = requestedReviewers.get(login);
+      if (team) {
+        details.push(`via @${team}`);
+      }
+      if (this.getProlificCommentersReRequested(pr).includes(login)) {
+        details.push('re-requested');
+      }
+      return { id: 'reviewRequested', details: details.join(', ') };
     }
 
-    if (allPRs.length === 0) {
-      markdown += `No open pull requests found.\n`;
+    if (this.getProlificCommentersWithoutApproval(pr).includes(login)) {
+      const commentCount = this.getAllComments(pr).filter(comment => comment.user.login === login).length;
+      return { id: 'prolificNotApproved', details: `by ${author}, ${commentCount} comments from you` };
     }
 
-    return markdown;
+    return null;
   }
 
   /**
-   * Main function to generate PR markdown for single or multiple repositories
+   * Build a report of the PRs waiting on one user: reviews requested from them,
+   * PRs they commented on heavily but haven't approved, and their own PRs with
+   * comments to fix
    */
-  async generatePRMarkdown(repoInputs, outputFile = null) {
-    try {
-      // Handle both single string and array of strings
-      const repositories = Array.isArray(repoInputs) ? repoInputs : [repoInputs];
+  buildPersonalReport(prsData, login) {
+    const { repoDataArray, allPRs, repositoryOf } = this.collectPRs(prsData);
+
+    const sections = [
+      { id: 'reviewRequested', title: 'Waiting on your review', emoji: ':eyes:' },
+      { id: 'prolificNotApproved', title: 'You commented but haven\'t approved', emoji: ':speech_balloon:' },
+      { id: 'yourCommentsToFix', title: 'Your PRs with comments to fix', emoji: ':wrench:' }
+    ].map(section => ({
+      ...section,
+      heading: `${section.title} ${section.emoji}`,
+      prs: [],
+      subsections: null
+    }));
+
+    this.sortPRs(allPRs).forEach(pr => {
+      const action = this.getActionItem(pr, login);
+      if (!action) return;
+
+      const section = sections.find(candidate => candidate.id === action.id);
+      const entry = this.buildReportEntry(pr, repositoryOf.get(pr), { id: action.id });
+      entry.details = action.details;
+      section.prs.push(entry);
+    });
+
+    return {
+      ...this.buildReportHeader(repoDataArray, `Pull Requests waiting on ${login}`),
+      for: login,
+      emptyMessage: `Nothing is waiting on ${login}.`,
+      totalPRs: sections.reduce((total, section) => total + section.prs.length, 0),
+      sections
+    };
+  }
+
+  /**
+   * Get every user with something waiting on them: requested reviewers,
+   * prolific commenters who haven't approved and authors with comments to fix
+   */
+  getReviewers(prsData) {
+    const { allPRs } = this.collectPRs(prsData);
+    const logins = new Set();
+
+    allPRs.forEach(pr => {
+      this.getRequestedReviewers(pr).forEach((team, login) => logins.add(login));
+      this.getProlificCommentersWithoutApproval(pr).forEach(login => logins.add(login));
+      if (this.hasCommentsToFix(pr)) {
+        logins.add(pr.user.login);
+      }
+    });
 
-      console.log(`🔍 Processing ${repositories.length} repository/repositories...\n`);
+    return Array.from(logins)
+      .filter(login => allPRs.some(pr => this.getActionItem(pr, login)))
+      .sort();
+  }
 
-      const allRepoData = [];
-      let totalPRs = 0;
-      let totalHighPriority = 0;
+  /**
+   * Render PRs in the given output format (see lib/renderers)
+   */
+  generateReport(prsData, format = 'markdown') {
+    return renderers.render(format, this.buildReport(prsData), { template: this.template });
+  }
 
-      // Fetch PRs from each repository
-      for (const repoInput of repositories) {
-        try {
-          console.log(`📍 Parsing repository: ${repoInput}`);
-          const { owner, repo } = this.parseRepository(repoInput);
+  /**
+   * Generate markdown content from categorized PRs
+   * Can handle single or multiple repositories
+   */
+  generateMarkdown(prsData) {
+    return this.generateReport(prsData, 'markdown');
+  }
+
+  /**
+   * Build the reports to write: the categorized report, or personal reports
+   * when running with --for / --for-each
+   */
+  buildReports(allRepoData) {
+    if (this.forEachReviewer) {
+      const logins = this.getReviewers(allRepoData);
+      console.log(`👥 Building personal reports for ${logins.length} users`);
+      return logins.map(login => this.buildPersonalReport(allRepoData, login));
+    }
+    if (this.forLogin) {
+      return [this.buildPersonalReport(allRepoData, this.forLogin)];
+    }
+    return [this.buildReport(allRepoData)];
+  }
+
+  /**
+   * Pick the output filename for a report
+   * Personal reports get the user's login appended
+   */
+  getOutputFileName(allRepoData, outputFile, login = null) {
+    const suffix = login ? `-${login}` : '';
+
+    if (outputFile) {
+      const extension = path.extname(outputFile);
+      return extension ?
+        `${outputFile.slice(0, -extension.length)}${suffix}${extension}` :
+        `${outputFile}${suffix}`;
+    }
+
+    const extension = renderers.getExtension(this.format);
+    if (allRepoData.length === 1) {
+      const { owner, repo } = allRepoData[0];
+      // GitLab owners can include subgroups ("group/subgroup")
+      return `${owner.replace(/\//g, '-')}-${repo}-prs${suffix}.${extension}`;
+    }
+    return `combined-prs-${this.getNow().toISOString().split('T')[0]}${suffix}.${extension}`;
+  }
 
-          console.log(`📡 Fetching PRs from ${owner}/${repo}...`);
-          const prs = await this.fetchPullRequests(owner, repo);
+  /**
+   * Compare a report with the previous snapshot (or the one picked with --since)
+   * and save it as the newest snapshot
+   * Failing to compare or save is only a warning so the report itself is never lost
+   */
+  recordHistory(report) {
+    if (!this.history) return;
 
-          const highPriorityCount = prs.filter(pr => this.hasHighPriorityLabel(pr)).length;
-          console.log(`✓ Found ${prs.length} PRs (${highPriorityCount} high priority)\n`);
+    try {
+      report.changes = this.history.compare(report, this.since);
+    } catch (error) {
+      console.warn(`⚠️  Could not compare with the last snapshot: ${error.message}`);
+      report.changes = null;
+    }
+    try {
+      const snapshot = this.history.save(report);
+      console.log(`🗂️  Saved snapshot ${snapshot}`);
+    } catch (error) {
+      console.warn(`⚠️  Could not save snapshot to ${this.history.dir}: ${error.message}`);
+    }
+  }
 
-          allRepoData.push({ owner, repo, prs });
-          totalPRs += prs.length;
-          totalHighPriority += highPriorityCount;
+  /**
+   * Check --since against the history before anything is fetched, so a typo
+   * doesn't cost a full run. When the repositories are given as arguments, the
+   * report's snapshots are known and --since must match one of them
+   */
+  checkSince(repoInputs) {
+    if (!this.history || !this.since) return;
+
+    let report = null;
+    if (this.orgs.length === 0 && !this.query && !this.forEachReviewer) {
+      // Inputs that don't parse are reported and skipped later, as they are left out of the report
+      const names = new Set();
+      repoInputs.forEach(input => {
+        try {
+          const { owner, repo } = this.parseRepository(input);
+          names.add(`${owner}/${repo}`);
         } catch (error) {
-          console.error(`❌ Error processing ${repoInput}: ${error.message}`);
-          console.log('Continuing with remaining repositories...\n');
+          // Reported by resolveRepositories
         }
+      });
+      report = {
+        repositories: Array.from(names).map(name => ({ name })),
+        for: this.forLogin,
+        generatedAt: this.getNow().toISOString()
+      };
+    }
+    this.history.checkSince(this.since, report);
+  }
+
+  /**
+   * Post the report to each configured target (Slack, Teams, webhooks)
+   * Failures are reported but don't stop the other targets or lose the file output
+   */
+  async postReport(report) {
+    for (const target of this.postTargets) {
+      try {
+        console.log(`📨 Posting report to ${target.type}...`);
+        const messageCount = await notifiers.postReport(target, report);
+        console.log(`✅ Posted to ${target.type} (${messageCount} message${messageCount !== 1 ? 's' : ''})`);
+      } catch (error) {
+        console.error(`❌ Failed to post to ${target.type}: ${error.message}`);
+        process.exitCode = 1;
       }
+    }
+  }
 
-      if (allRepoData.length === 0) {
-        throw new Error('No repositories were successfully processed');
+  /**
+   * Turn repository arguments, --org and --query into the list of repositories
+   * to fetch: [{ owner, repo, numbers }], where numbers is null for "every open PR"
+   */
+  async resolveRepositories(repoInputs) {
+    // Handle both single string and array of strings
+    const repoInputList = Array.isArray(repoInputs) ? repoInputs : [repoInputs];
+
+    // Replaying without repository arguments replays every fixture
+    if (this.replayFixtures && repoInputList.length === 0) {
+      return this.replayFixtures.list().map(({ owner, repo, provider }) => ({ owner, repo, provider, numbers: null }));
+    }
+
+    const targets = [];
+    for (const repoInput of repoInputList) {
+      try {
+        console.log(`📍 Parsing repository: ${repoInput}`);
+        const { owner, repo, number, provider } = this.parseRepository(repoInput);
+        targets.push({ owner, repo, provider, numbers: number ? [number] : null });
+      } catch (error) {
+        console.error(`❌ Error processing ${repoInput}: ${error.message}`);
       }
+    }
+    targets.push(...await this.discoverRepositories());
 
-      console.log(`📝 Generating markdown for ${totalPRs} total PRs...`);
-      const markdown = this.generateMarkdown(allRepoData);
+    return discovery.mergeRepositoryTargets(targets);
+  }
 
-      // Generate filename
-      let fileName;
-      if (outputFile) {
-        fileName = outputFile;
-      } else if (allRepoData.length === 1) {
-        const { owner, repo } = allRepoData[0];
-        fileName = `${owner}-${repo}-prs.md`;
-      } else {
-        fileName = `combined-prs-${new Date().toISOString().split('T')[0]}.md`;
+  /**
+   * Fetch the PRs of each repository
+   * Returns [{ owner, repo, provider, prs }]; repositories that fail are
+   * reported and skipped
+   */
+  async fetchRepositories(repositories) {
+    console.log(`🔍 Processing ${repositories.length} repository/repositories...\n`);
+
+    const allRepoData = [];
+    for (const { owner, repo, numbers, provider = providers.DEFAULT_PROVIDER } of repositories) {
+      try {
+        console.log(`📡 Fetching PRs from ${owner}/${repo}${provider !== providers.DEFAULT_PROVIDER ? ` (${provider})` : ''}...`);
+        const prs = await this.fetchPullRequests(owner, repo, numbers, { provider });
+
+        const prioritizedCount = prs.filter(pr => this.getPriorityTier(pr)).length;
+        console.log(`✓ Found ${prs.length} PRs (${prioritizedCount} prioritized)\n`);
+
+        allRepoData.push({ owner, repo, provider, prs });
+      } catch (error) {
+        console.error(`❌ Error processing ${owner}/${repo}: ${error.message}`);
+        console.log('Continuing with remaining repositories...\n');
       }
+    }
+
+    return allRepoData;
+  }
+
+  /**
+   * Record, write and post each report
+   * Returns the names of the files written
+   */
+  async writeReports(allRepoData, reports, outputFile = null) {
+    const fileNames = [];
+    for (const report of reports) {
+      const fileName = this.getOutputFileName(allRepoData, outputFile, report.for);
+      this.recordHistory(report);
 
       console.log(`💾 Writing to ${fileName}...`);
-      fs.writeFileSync(fileName, markdown);
+      fs.writeFileSync(fileName, renderers.render(this.format, report, { template: this.template }));
 
       console.log(`✅ Successfully generated ${fileName}`);
 
+      await this.postReport(report);
+      fileNames.push(fileName);
+    }
+    return fileNames;
+  }
+
+  /**
+   * Forget the team members, approval policies and CODEOWNERS rules loaded so
+   * far, so that a long-running process (--watch) picks up changes to them
+   */
+  clearCaches() {
+    this.teamMembersCache.clear();
+    this.approvalPolicyCache.clear();
+    this.codeOwnersCache.clear();
+  }
+
+  /**
+   * Main function to generate PR markdown for single or multiple repositories
+   */
+  async generatePRMarkdown(repoInputs, outputFile = null) {
+    try {
+      const repositories = await this.resolveRepositories(repoInputs);
+      const allRepoData = await this.fetchRepositories(repositories);
+
+      if (allRepoData.length === 0) {
+        throw new Error('No repositories were successfully processed');
+      }
+
+      const totalPRs = allRepoData.reduce((total, { prs }) => total + prs.length, 0);
+      const totalPrioritized = allRepoData.reduce((total, { prs }) =>
+        total + prs.filter(pr => this.getPriorityTier(pr)).length, 0);
+
+      console.log(`📝 Generating ${this.format} for ${totalPRs} total PRs...`);
+      const fileNames = await this.writeReports(allRepoData, this.buildReports(allRepoData), outputFile);
+
       // Show summary
-      console.log(`📊 Summary: ${allRepoData.length} repositories, ${totalPRs} total PRs, ${totalHighPriority} high priority`);
+      console.log(`📊 Summary: ${allRepoData.length} repositories, ${totalPRs} total PRs, ${totalPrioritized} prioritized`);
 
-      return fileName;
+      return fileNames.length === 1 ? fileNames[0] : fileNames;
     } catch (error) {
       console.error(`❌ Error: ${error.message}`);
       process.exit(1);
@@ -551,12 +1747,74 @@ async function main() {
     console.log(`
 PR Markdown Generator
 
-Usage: node pr-generator.js <repository1> [repository2] [...] [--output <filename>]
+Usage: node pr-generator.js <repository1> [repository2] [...] [options]
+       node pr-generator.js --org <org> [options]
+       node pr-generator.js --query <search query> [options]
+       node pr-generator.js serve <repository1> [...] [options]
+
+Commands:
+  serve         Serve a dashboard instead of writing a file: a page that filters the
+                report by repository, author, label, reviewer and category, and the
+                report as JSON on /api/report. Listens on --host and --port
+                (default: 127.0.0.1:3000)
 
 Arguments:
-  repository    One or more GitHub repositories (owner/repo or GitHub URL)
+  repository    One or more GitHub repositories: owner/repo, a repository or PR URL,
+                an SSH remote (git@github.com:owner/repo.git), or a bare repository
+                name with --owner. A PR URL only includes that PR.
+                GitLab projects take a prefix: gitlab:group/project
+  --owner       Owner of repositories given by name only
+  --api-url     GitHub API URL, for GitHub Enterprise Server:
+                https://<host>/api/v3 (default: GITHUB_API_URL or https://api.github.com)
+  --org         Include every non-archived repository in an organization (can be repeated)
+  --topic       With --org, only include repositories with this topic (can be repeated)
+  --exclude     Skip repositories matching a glob, e.g. "legacy-*" or "acme/docs-*"
+                (can be repeated)
+  --query       Include the PRs matching a GitHub search query,
+                e.g. "is:open review-requested:@me org:acme"
+  --group-by    Use "repo" to split each category into per-repository subsections
+                instead of tagging each PR with its repository
   --output      Optional output filename (default: owner-repo-prs.md for single repo,
                 combined-prs-YYYY-MM-DD.md for multiple repos)
+  --config      Optional rules file defining categories and their order
+                (default: .prgenrc.json in the current directory, if present)
+  --concurrency Maximum number of concurrent GitHub API requests (default: 8)
+  --api         GitHub API to fetch from: rest or graphql (default: rest).
+                graphql fetches PRs, reviews and comments in bulk and requires GITHUB_TOKEN
+  --format      Output format: markdown, json, html, slack or text (default: markdown)
+  --template    Lay the markdown out with a template file instead of the built-in
+                layout (templates/default.md), e.g. to show each PR's author and size
+  --post        Also post the report: slack, teams or webhook=<url> (can be repeated).
+                Webhook URLs come from SLACK_WEBHOOK_URL, TEAMS_WEBHOOK_URL or WEBHOOK_URL
+  --sort        Order of PRs inside each category: newest, oldest, activity,
+                inactive or title (default: newest, or "sort" in the rules file)
+  --for         Only list what is waiting on one user: reviews requested from them,
+                PRs they commented on but haven't approved, and their PRs with comments to fix
+  --for-each    Write one --for report per user with something waiting on them
+  --stats       Add review throughput stats: time to first review, first to second
+                approval, and reviews, comments and blocked PRs per person
+  --since       Compare with an earlier snapshot instead of the latest one: a snapshot
+                file or name, a duration such as 1d, or a date such as 2025-01-14
+  --history-dir Where report snapshots are kept
+                (default: ~/.local/state/pr-generator/history)
+  --no-history  Don't save a snapshot or show what changed since the last run
+  --watch       Keep running and regenerate the report every --interval, rewriting
+                the output (and posting it) only when something changed
+  --interval    How often --watch refetches everything, e.g. 5m or 1h (default: 15m)
+  --serve       With --watch, also accept GitHub webhooks on POST /webhook and refresh
+                just the PR each event is about. Requires GITHUB_WEBHOOK_SECRET
+  --port        Port for --serve and the serve command (default: 3000)
+  --host        Address for --serve and the serve command to listen on, e.g. 0.0.0.0
+                (default: every interface for --serve, 127.0.0.1 for serve)
+  --record      Also save the fetched PRs, with their reviews and comments, as fixtures
+                in a directory (one JSON file per repository)
+  --replay      Build the report from a --record directory without any network access.
+                Without repository arguments, every recorded repository is included
+  --date        Generate the report as of this date, e.g. 2025-01-14T09:00:00Z
+                (default: now, or the time the fixtures were recorded with --replay)
+  --no-cache    Don't use the on-disk response cache (~/.cache/pr-generator)
+  --cache-ttl   How long cached responses are used without revalidating,
+                e.g. 10m or 1h (default: 0, always revalidate with the ETag)
 
 Examples:
   Single repository:
@@ -567,15 +1825,49 @@ Examples:
   Multiple repositories:
     node pr-generator.js facebook/react microsoft/vscode
     node pr-generator.js owner/repo1 owner/repo2 owner/repo3
-    node pr-generator.js repo1 repo2 --output combined.md
+    node pr-generator.js repo1 repo2 --owner owner --output combined.md
+
+  GitLab and GitHub together:
+    node pr-generator.js acme/api gitlab:platform/billing/service
+
+  GitHub Enterprise Server:
+    node pr-generator.js https://ghe.acme.corp/team/app --api-url https://ghe.acme.corp/api/v3
+
+  Discovered repositories:
+    node pr-generator.js --org acme --exclude "legacy-*" --group-by repo
+    node pr-generator.js --org acme --topic backend
+    node pr-generator.js --query "is:pr is:open review-requested:@me org:acme"
+
+  Custom layout:
+    node pr-generator.js acme/api acme/web --template team-template.md
+
+  Watch mode:
+    node pr-generator.js --org acme --watch --interval 15m
+    GITHUB_WEBHOOK_SECRET=... node pr-generator.js --org acme --watch --serve --port 8080
+
+  Offline runs:
+    node pr-generator.js facebook/react --record fixtures/
+    node pr-generator.js --replay fixtures/ --output replayed.md
+
+  Dashboard:
+    node pr-generator.js serve --org acme --port 8080
+    node pr-generator.js serve --org acme --host 0.0.0.0
 
 Environment Variables:
-  GITHUB_TOKEN  GitHub personal access token (recommended for higher rate limits)
-  REVIEW_OWNER  Username to check for review owner approval
+  GITHUB_TOKEN       GitHub personal access token (recommended for higher rate limits)
+  GITHUB_API_URL     GitHub API URL, e.g. https://ghe.acme.corp/api/v3 (see --api-url)
+  GITLAB_TOKEN       GitLab personal access token (read_api scope)
+  GITLAB_API_URL     GitLab API URL (default: https://gitlab.com/api/v4)
+  REVIEW_OWNER       Username(s) to check for review owner approval, comma-separated
+  SLACK_WEBHOOK_URL  Slack incoming webhook used by --post slack
+  TEAMS_WEBHOOK_URL  Teams incoming webhook used by --post teams
+  WEBHOOK_URL        Default endpoint for --post webhook
+  GITHUB_WEBHOOK_SECRET  Secret of the GitHub webhook delivering to --serve
 
 Features:
   - Fetches all open pull requests from one or multiple repositories
-  - Prioritizes PRs with "high priority", "urgent", or "critical" labels
+  - Prioritizes PRs with "high priority", "urgent", or "critical" labels, or in
+    configurable tiers (e.g. P0/P1/P2) matched by label or milestone
   - Generates organized markdown with PR titles as clickable links
   - Combines PRs from multiple repositories into a single report
   - Categorizes PRs by review status and priority
@@ -584,8 +1876,43 @@ Features:
   }
 
   // Parse arguments
+  let command = null;
+  if (args[0] === 'serve') {
+    command = args.shift();
+  }
+
   let repositories = [];
   let outputFile = null;
+  let configFile = null;
+  let concurrency;
+  let api = 'rest';
+  let useCache = true;
+  let format = 'markdown';
+  let templateFile = null;
+  const postSpecs = [];
+  let forLogin = null;
+  let sort = null;
+  let forEachReviewer = false;
+  let cacheTTL = '0';
+  const orgs = [];
+  const topics = [];
+  const exclude = [];
+  let query = null;
+  let groupBy = null;
+  let useHistory = true;
+  let stats = false;
+  let historyDir = null;
+  let since = null;
+  let watch = false;
+  let interval = null;
+  let serve = false;
+  let port = null;
+  let host = null;
+  let apiURL = process.env.GITHUB_API_URL || null;
+  let defaultOwner = null;
+  let record = null;
+  let replay = null;
+  let date = null;
 
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--output' || args[i] === '-o') {
@@ -593,17 +1920,325 @@ Features:
         outputFile = args[i + 1];
         i++; // Skip next argument
       }
+    } else if (args[i] === '--config' || args[i] === '-c') {
+      if (i + 1 < args.length) {
+        configFile = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--concurrency') {
+      if (i + 1 < args.length) {
+        concurrency = parseInt(args[i + 1], 10);
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--api') {
+      if (i + 1 < args.length) {
+        api = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--api-url') {
+      if (i + 1 < args.length) {
+        apiURL = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--owner') {
+      if (i + 1 < args.length) {
+        defaultOwner = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--format' || args[i] === '-f') {
+      if (i + 1 < args.length) {
+        format = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--template') {
+      if (i + 1 < args.length) {
+        templateFile = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--post') {
+      if (i + 1 < args.length) {
+        postSpecs.push(args[i + 1]);
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--sort') {
+      if (i + 1 < args.length) {
+        sort = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--for') {
+      if (i + 1 < args.length) {
+        forLogin = args[i + 1].replace(/^@/, '');
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--for-each') {
+      forEachReviewer = true;
+    } else if (args[i] === '--org') {
+      if (i + 1 < args.length) {
+        orgs.push(args[i + 1]);
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--topic') {
+      if (i + 1 < args.length) {
+        topics.push(args[i + 1]);
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--exclude') {
+      if (i + 1 < args.length) {
+        exclude.push(args[i + 1]);
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--query') {
+      if (i + 1 < args.length) {
+        query = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--group-by') {
+      if (i + 1 < args.length) {
+        groupBy = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--stats') {
+      stats = true;
+    } else if (args[i] === '--since') {
+      if (i + 1 < args.length) {
+        since = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--history-dir') {
+      if (i + 1 < args.length) {
+        historyDir = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--no-history') {
+      useHistory = false;
+    } else if (args[i] === '--watch') {
+      watch = true;
+    } else if (args[i] === '--interval') {
+      if (i + 1 < args.length) {
+        interval = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--serve') {
+      serve = true;
+    } else if (args[i] === '--port') {
+      if (i + 1 < args.length) {
+        port = parseInt(args[i + 1], 10);
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--host') {
+      if (i + 1 < args.length) {
+        host = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--record') {
+      if (i + 1 < args.length) {
+        record = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--replay') {
+      if (i + 1 < args.length) {
+        replay = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--date') {
+      if (i + 1 < args.length) {
+        date = args[i + 1];
+        i++; // Skip next argument
+      }
+    } else if (args[i] === '--no-cache') {
+      useCache = false;
+    } else if (args[i] === '--cache-ttl') {
+      if (i + 1 < args.length) {
+        cacheTTL = args[i + 1];
+        i++; // Skip next argument
+      }
     } else {
       repositories.push(args[i]);
     }
   }
 
-  if (repositories.length === 0) {
-    console.error('❌ Error: No repositories specified');
+  if (repositories.length === 0 && orgs.length === 0 && !query && !replay) {
+    console.error('❌ Error: No repositories specified. Pass repositories, --org or --query');
+    process.exit(1);
+  }
+
+  if (record && replay) {
+    console.error('❌ Error: --record and --replay can\'t be used together');
+    process.exit(1);
+  }
+
+  if (replay && (orgs.length > 0 || query || since)) {
+    console.error('❌ Error: --replay can\'t be combined with --org, --query or --since');
+    process.exit(1);
+  }
+
+  if ((record || replay) && watch) {
+    console.error(`❌ Error: ${record ? '--record' : '--replay'} can't be used with --watch`);
+    process.exit(1);
+  }
+
+  if (topics.length > 0 && orgs.length === 0) {
+    console.error('❌ Error: --topic can only be used with --org');
+    process.exit(1);
+  }
+
+  if (since && !useHistory) {
+    console.error('❌ Error: --since can\'t be used with --no-history');
+    process.exit(1);
+  }
+
+  if (groupBy !== null && groupBy !== 'repo') {
+    console.error(`❌ Error: Unknown --group-by "${groupBy}". Use "repo"`);
+    process.exit(1);
+  }
+
+  if ((interval !== null || serve) && !watch) {
+    console.error(`❌ Error: ${serve ? '--serve' : '--interval'} can only be used with --watch`);
+    process.exit(1);
+  }
+
+  if (command === 'serve' && (outputFile || postSpecs.length > 0 || watch || forLogin || forEachReviewer || since)) {
+    console.error('❌ Error: serve can\'t be combined with --output, --post, --watch, --for, --for-each or --since');
+    process.exit(1);
+  }
+
+  if (port !== null && !serve && command !== 'serve') {
+    console.error('❌ Error: --port can only be used with --serve or the serve command');
+    process.exit(1);
+  }
+
+  if (host !== null && !serve && command !== 'serve') {
+    console.error('❌ Error: --host can only be used with --serve or the serve command');
+    process.exit(1);
+  }
+
+  if (port !== null && !(port > 0 && port < 65536)) {
+    console.error('❌ Error: --port must be a port number');
+    process.exit(1);
+  }
+
+  if (serve && !process.env.GITHUB_WEBHOOK_SECRET) {
+    console.error('❌ Error: --serve requires the GITHUB_WEBHOOK_SECRET environment variable');
+    process.exit(1);
+  }
+
+  if (templateFile && format !== 'markdown') {
+    console.error('❌ Error: --template can only be used with --format markdown');
+    process.exit(1);
+  }
+
+  if (api !== 'rest' && api !== 'graphql') {
+    console.error(`❌ Error: Unknown API "${api}". Use "rest" or "graphql"`);
+    process.exit(1);
+  }
+
+  let config;
+  let template = null;
+  let cache = null;
+  let postTargets;
+  let intervalMs;
+  let now = null;
+  try {
+    postTargets = postSpecs.map(spec => notifiers.resolveTarget(spec));
+    if (apiURL) {
+      apiURL = normalizeAPIURL(apiURL);
+    }
+    renderers.getExtension(format); // Validates the format
+    if (templateFile) {
+      template = loadTemplate(templateFile);
+    }
+    config = loadConfig(configFile);
+    if (sort && !SORT_KEYS.includes(sort)) {
+      throw new Error(`Unknown sort "${sort}". Use one of: ${SORT_KEYS.join(', ')}`);
+    }
+    if (useCache) {
+      cache = { ttl: parseDuration(cacheTTL) };
+    }
+    if (date) {
+      now = new Date(date);
+      if (Number.isNaN(now.getTime())) {
+        throw new Error(`Invalid --date "${date}". Use a date such as 2025-01-14 or 2025-01-14T09:00:00Z`);
+      }
+    } else if (replay) {
+      // Replayed reports are as of the recording, so they come out the same every time
+      const recordedAt = new FixtureStore({ dir: replay }).getRecordedAt();
+      now = recordedAt ? new Date(recordedAt) : null;
+    }
+    if (watch) {
+      intervalMs = parseDuration(interval || '15m');
+      if (intervalMs <= 0) {
+        throw new Error('--interval must be longer than 0');
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const generator = new PRMarkdownGenerator({
+    baseURL: apiURL,
+    defaultOwner,
+    config,
+    concurrency,
+    api,
+    cache,
+    format,
+    template,
+    postTargets,
+    forLogin,
+    forEachReviewer,
+    sort,
+    orgs,
+    topics,
+    exclude,
+    query,
+    groupBy: groupBy && 'repository',
+    // The dashboard keeps its report in memory, and replays are kept out of the history
+    history: useHistory && command !== 'serve' && !replay ? { dir: historyDir, since } : null,
+    record,
+    replay,
+    now,
+    stats
+  });
+
+  try {
+    generator.checkSince(repositories);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
     process.exit(1);
   }
 
-  const generator = new PRMarkdownGenerator();
+  if (command === 'serve') {
+    const dashboard = new Dashboard(generator, { repoInputs: repositories, host, port });
+    try {
+      await dashboard.start();
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (watch) {
+    const watcher = new ReportWatcher(generator, {
+      repoInputs: repositories,
+      outputFile,
+      interval: intervalMs,
+      serve,
+      host,
+      port,
+      secret: process.env.GITHUB_WEBHOOK_SECRET
+    });
+    try {
+      await watcher.start();
+      console.log(`👀 Watching for changes every ${interval || '15m'} (Ctrl+C to stop)`);
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
   await generator.generatePRMarkdown(repositories, outputFile);
 }
 